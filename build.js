@@ -0,0 +1,50 @@
+/**
+ * Build the distributable files from src/interactive.js
+ *   dist/interactive.umd.js - UMD build (<script>, AMD, CommonJS)
+ *   dist/interactive.esm.mjs - ES module build
+ * 
+ * Usage: npm run build
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, 'src', 'interactive.js');
+const DIST = path.join(__dirname, 'dist');
+
+// The library body lives between these lines of the UMD factory
+const BODY_START = "'use strict';";
+const BODY_END = 'return interactive;';
+
+/**
+ * Get the library body out of the UMD source
+ * 
+ * @param {String} source
+ * @returns {String} body
+ */
+function getFactoryBody(source) {
+    let start = source.indexOf(BODY_START);
+    let end = source.lastIndexOf(BODY_END);
+    if (start === -1 || end === -1) {
+        throw new Error('src/interactive.js is not wrapped by the UMD factory');
+    }
+    return source.slice(start + BODY_START.length, end).trim();
+}
+
+/**
+ * Create the ES module build from the UMD source
+ * 
+ * @param {String} source
+ * @returns {String} ES module
+ */
+function toEsModule(source) {
+    let banner = '/**\n * interactive.js - ES module build generated from src/interactive.js\n */';
+    return banner + '\n\n' + getFactoryBody(source) + '\n\nexport default interactive;\n';
+}
+
+let source = fs.readFileSync(SOURCE, 'utf8').replace(/\r\n/g, '\n');
+
+fs.mkdirSync(DIST, { recursive: true });
+fs.writeFileSync(path.join(DIST, 'interactive.umd.js'), source);
+fs.writeFileSync(path.join(DIST, 'interactive.esm.mjs'), toEsModule(source));
+
+console.log('Built dist/interactive.umd.js and dist/interactive.esm.mjs');
@@ -1,12 +1,28 @@
+/**
+ * Make elements draggable.
+ * Use of primary pointer down + drag to drag elements.
+ *
+ * @param {String|HTMLElement|NodeList|Array} target - Id, CSS selector, element or list of elements
+ * @returns {HTMLElement|Array} The element, or the elements (Array) for CSS selectors, NodeLists and arrays
+ */
+function draggable(target) {
+
+    let elements = getElements(target);
+    for (let i = 0, len = elements.length; i < len; i++) {
+        draggableElement(elements[i]);
+    }
+
+    return isSingleElementTarget(target) ? elements[0] : elements;
+}
+
 /**
  * Make an element draggable.
- * Use of left mouse down + drag to drag elements.
  *
- * @param {String} id
+ * @param {HTMLElement} element
  */
-function draggable(id) {
+function draggableElement(element) {
     
-    element = document.getElementById(id);
+    ensureElementId(element);
     element.classList.add('draggable');
 
     // Add header. Will be used as the drag point.
@@ -34,51 +50,82 @@ function draggable(id) {
         }
     }
 
-    dragPoint.onmousedown = function() {
-        if (event.which == 1) {
-            drag(element);
+    dragPoint.onpointerdown = function(event) {
+        // Ignore presses on min, max and close buttons living inside the drag point
+        if (isPrimaryPointer(event) && event.target.closest('.mmcBtn') === null) {
+            drag(element, event);
         }
     };  
 }
 
 /**
- * Change the element position according to the mouse drag
+ * Change the element position according to the pointer drag.
+ * The pointer is captured by the drag point, so the gesture keeps
+ * working when the pointer leaves it.
  * 
  * @param {HTMLelement} element 
+ * @param {PointerEvent} event - pointerdown event that starts the drag
  */
-function drag(element) {
-    // Cursor initial position
-    let x1 = event.clientX;
-    let y1 = event.clientY;
-
-    document.onmouseup = dragMouseStop;
-    document.onmousemove = function() {
+function drag(element, event) {
 
-        // Cursor actual position
-        let x2 = event.clientX;
-        let y2 = event.clientY;
+    event.preventDefault(); // Avoid text selection
 
-        // Calculate mouse movement
-        let mouseDrag = { x: x1 - x2, y: y1 - y2 };
-        
+    trackPointerDrag(event, function(mouseDrag) {
         // Prevent dragging elements outside the screen
         let newPosition = getDragNewPosition(element, mouseDrag);
         // New position
         element.style.left = newPosition.x + "px";
         element.style.top = newPosition.y + "px";
+    });
+}
+
+/**
+ * Track a pointer drag with listeners that only live on the captured element while the gesture lasts
+ * 
+ * @param {PointerEvent} event - pointerdown event that starts the drag
+ * @param {Function} onDrag - called with the mouse movement {x, y} since the previous pointermove
+ */
+function trackPointerDrag(event, onDrag) {
+
+    let gesture = {
+        target: event.currentTarget,
+        pointerId: event.pointerId,
+        // Cursor initial position
+        x: event.clientX,
+        y: event.clientY
+    };
+
+    gesture.move = function(event) {
+        if (event.pointerId !== gesture.pointerId) { return; }
+
+        // Calculate mouse movement
+        onDrag({ x: gesture.x - event.clientX, y: gesture.y - event.clientY });
 
         // Take the actual mouse position as the new initial position
-        x1 = x2;
-        y1 = y2;
+        gesture.x = event.clientX;
+        gesture.y = event.clientY;
+    };
+    gesture.stop = function(event) {
+        if (event.pointerId === gesture.pointerId) {
+            dragMouseStop(gesture);
+        }
     };
+
+    gesture.target.setPointerCapture(gesture.pointerId);
+    gesture.target.addEventListener('pointermove', gesture.move);
+    gesture.target.addEventListener('pointerup', gesture.stop);
+    gesture.target.addEventListener('pointercancel', gesture.stop);
 }
 
 /**
  * Stop drag movement
+ * 
+ * @param {Object} gesture - gesture created by trackPointerDrag()
  */
-function dragMouseStop() {
-    document.onmouseup = null;
-    document.onmousemove = null;
+function dragMouseStop(gesture) {
+    gesture.target.removeEventListener('pointermove', gesture.move);
+    gesture.target.removeEventListener('pointerup', gesture.stop);
+    gesture.target.removeEventListener('pointercancel', gesture.stop);
 }
 
 /**
@@ -90,6 +137,7 @@ function initialDragPointStyling(dragPoint) {
     dragPoint.style.width = '100%';
     dragPoint.style.height = '20px';
     dragPoint.style.backgroundColor = 'rgb(48, 55, 97)';
+    dragPoint.style.touchAction = 'none'; // Avoid touch scrolling while dragging
 }
 
 /**
@@ -185,6 +233,70 @@ function preventDragOutsideScreen(element, newPosition, boundaries) {
 
 // HELPERS
 
+/**
+ * Get the elements referenced by an id, a CSS selector, an element, a NodeList or an array of elements
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Array} elements
+ */
+function getElements(target) {
+    if (typeof target === 'string') {
+        // Ids first, they don't need to be valid CSS selectors
+        let element = document.getElementById(target);
+        if (element !== null) {
+            return [element];
+        }
+        return Array.prototype.slice.call(document.querySelectorAll(target));
+    }
+    if (target instanceof Element) {
+        return [target];
+    }
+    return Array.prototype.slice.call(target);
+}
+
+/**
+ * Check if a target references a single element: an element or an existing id
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Boolean}
+ */
+function isSingleElementTarget(target) {
+    if (typeof target === 'string') {
+        return document.getElementById(target) !== null;
+    }
+    return target instanceof Element;
+}
+
+/**
+ * Give an id to an element without one.
+ * The library uses the id to keep track of the element and to name the elements it creates.
+ * 
+ * @param {HTMLElement} element 
+ * @returns {Boolean} True if the id was generated
+ */
+function ensureElementId(element) {
+    if (element.id !== '') {
+        return false;
+    }
+    let count = 1;
+    while (document.getElementById('interactive' + count) !== null) {
+        count++;
+    }
+    element.id = 'interactive' + count;
+    return true;
+}
+
+/**
+ * Check if a pointer event comes from the primary button of the primary pointer.
+ * Left mouse button, first finger touch or pen contact.
+ * 
+ * @param {PointerEvent} event 
+ * @returns {Boolean}
+ */
+function isPrimaryPointer(event) {
+    return event.isPrimary && event.button == 0;
+}
+
 /**
  * Get the boundaries of a document body
  */
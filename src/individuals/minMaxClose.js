@@ -1,12 +1,30 @@
+/**
+ * Make elements capable of being closed, minimize and maximized
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target - Id, CSS selector, element or list of elements
+ * @param {Object}  config
+ * @returns {HTMLElement|Array} The element, or the elements (Array) for CSS selectors, NodeLists and arrays
+ */
+function minMaxClose(target, config) {
+
+    let elements = getElements(target);
+    for (let i = 0, len = elements.length; i < len; i++) {
+        minMaxCloseElement(elements[i], config);
+    }
+
+    return isSingleElementTarget(target) ? elements[0] : elements;
+}
+
 /**
  * Make an element capable of being closed, minimize and maximized
  * 
- * @param {String}  id - Id of the element we're making interactive
+ * @param {HTMLElement} element
  * @param {Object}  config
  */
-function minMaxClose(id, config) {
+function minMaxCloseElement(element, config) {
 
-    let element = document.getElementById(id);
+    // Minimized elements are found by id
+    ensureElementId(element);
 
     if (config === undefined) { // Default config
         close(element);
@@ -193,8 +211,10 @@ function addMinimizeArea(minZone) {
 
 /**
  * Minimize element
+ * 
+ * @param {Event} event - click on the minimize button or dblclick on the element
  */
-function minimize() {
+function minimize(event) {
 
     // Store information of the minimized element.
     let element;
@@ -644,6 +664,59 @@ function getElementSizeAndPosition(element) {
 
 // HELPERS
 
+/**
+ * Get the elements referenced by an id, a CSS selector, an element, a NodeList or an array of elements
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Array} elements
+ */
+function getElements(target) {
+    if (typeof target === 'string') {
+        // Ids first, they don't need to be valid CSS selectors
+        let element = document.getElementById(target);
+        if (element !== null) {
+            return [element];
+        }
+        return Array.prototype.slice.call(document.querySelectorAll(target));
+    }
+    if (target instanceof Element) {
+        return [target];
+    }
+    return Array.prototype.slice.call(target);
+}
+
+/**
+ * Check if a target references a single element: an element or an existing id
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Boolean}
+ */
+function isSingleElementTarget(target) {
+    if (typeof target === 'string') {
+        return document.getElementById(target) !== null;
+    }
+    return target instanceof Element;
+}
+
+/**
+ * Give an id to an element without one.
+ * The library uses the id to keep track of the element and to name the elements it creates.
+ * 
+ * @param {HTMLElement} element 
+ * @returns {Boolean} True if the id was generated
+ */
+function ensureElementId(element) {
+    if (element.id !== '') {
+        return false;
+    }
+    let count = 1;
+    while (document.getElementById('interactive' + count) !== null) {
+        count++;
+    }
+    element.id = 'interactive' + count;
+    return true;
+}
+
 /**
  * Create an element, assign an id and a class to it, return the HTML element
  * @param {String} tag 
@@ -699,12 +772,12 @@ function createSvgShape(object) {
     return svg;
 }
 
-// WINDOW.onresize - WINDOW.onload ----------------------------------------
+// WINDOW RESIZE - WINDOW LOAD -------------------------------------------
 
 /**
  * Ensure window resize and window load without errors.
  */
-window.onresize = updateMinimizedItemsOnWindowChange;
+window.addEventListener('resize', updateMinimizedItemsOnWindowChange);
 
 /**
  * Avoid minimizeZone overflow by changin the minimized elements display from horizontal to dropdown
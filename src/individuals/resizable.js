@@ -1,12 +1,28 @@
+/**
+ * Make elements resizable.
+ * Use of primary pointer down + drag to resize element.
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target - Id, CSS selector, element or list of elements
+ * @returns {HTMLElement|Array} The element, or the elements (Array) for CSS selectors, NodeLists and arrays
+ */
+function resizable(target) {
+
+    let elements = getElements(target);
+    for (let i = 0, len = elements.length; i < len; i++) {
+        resizableElement(elements[i]);
+    }
+
+    return isSingleElementTarget(target) ? elements[0] : elements;
+}
+
 /**
  * Make an element resizable.
- * Use of left mouse down + drag to resize element.
  * 
- * @param {String} id
+ * @param {HTMLElement} element
  */
-function resizable(id) {
+function resizableElement(element) {
     
-    element = document.getElementById(id);
+    ensureElementId(element);
     element.classList.add('resizable');
 
     /* 
@@ -79,58 +95,92 @@ function initialResizeCssProperties(element, parent) {
 }
 
 /**
- * Add left mouse down + drag resize functionality to a resize point.
+ * Add primary pointer down + drag resize functionality to a resize point.
+ * Works with mouse, touch and pen input.
  *
  * @param {HTMLelement} element 
  * @param {HTMLelement} parent 
  * @param {HTMLelement} resizePoint 
  */
 function addResizePointFunctionality(element, parent, resizePoint) {
-    resizePoint.onmousedown = function() {
-        if (event.which == 1) { 
-            resize(element, parent, resizePoint);
+    resizePoint.onpointerdown = function(event) {
+        if (isPrimaryPointer(event)) { 
+            resize(element, parent, resizePoint, event);
         }
     };
 }
 
 /**
- * Resize element according to mouse drag
+ * Resize element according to pointer drag.
+ * The pointer is captured by the resize point, so the gesture keeps
+ * working when the pointer leaves it.
  * 
  * @param {HTMLelement} element
+ * @param {HTMLelement} parent
+ * @param {HTMLelement} resizePoint
+ * @param {PointerEvent} event - pointerdown event that starts the resize
  */
-function resize(element, parent, resizePoint) {
-  
-    // Cursor initial position
-    let x1 = event.clientX;
-    let y1 = event.clientY;
-
-    document.onmouseup = dragMouseStop;
-    document.onmousemove = function() {
-        // Cursor actual position
-        let x2 = event.clientX;
-        let y2 = event.clientY;
+function resize(element, parent, resizePoint, event) {
 
-        // Calculate mouse movement
-        let mouseDrag = { x: x1 - x2, y: y1 - y2 };
-        
-        // Get the zone where the resize point lives
-        let zone = getResizePointZone(resizePoint.className);
+    event.preventDefault(); // Avoid text selection
+
+    // Get the zone where the resize point lives
+    let zone = getResizePointZone(resizePoint.className);
+
+    trackPointerDrag(event, function(mouseDrag) {
         // Change Measures
         changeHorizontalMeasures(element, parent, mouseDrag.x, zone[0]);
         changeVerticalMeasures(element, parent, mouseDrag.y, zone[1]);
+    });
+}
+
+/**
+ * Track a pointer drag with listeners that only live on the captured element while the gesture lasts
+ * 
+ * @param {PointerEvent} event - pointerdown event that starts the drag
+ * @param {Function} onDrag - called with the mouse movement {x, y} since the previous pointermove
+ */
+function trackPointerDrag(event, onDrag) {
+
+    let gesture = {
+        target: event.currentTarget,
+        pointerId: event.pointerId,
+        // Cursor initial position
+        x: event.clientX,
+        y: event.clientY
+    };
+
+    gesture.move = function(event) {
+        if (event.pointerId !== gesture.pointerId) { return; }
+
+        // Calculate mouse movement
+        onDrag({ x: gesture.x - event.clientX, y: gesture.y - event.clientY });
 
         // Take the actual mouse position as the new initial position
-        x1 = x2;
-        y1 = y2;
+        gesture.x = event.clientX;
+        gesture.y = event.clientY;
+    };
+    gesture.stop = function(event) {
+        if (event.pointerId === gesture.pointerId) {
+            dragMouseStop(gesture);
+        }
     };
+
+    gesture.target.setPointerCapture(gesture.pointerId);
+    gesture.target.addEventListener('pointermove', gesture.move);
+    gesture.target.addEventListener('pointerup', gesture.stop);
+    gesture.target.addEventListener('pointercancel', gesture.stop);
 }
 
 /**
  * Stop drag movement
+ * 
+ * @param {Object} gesture - gesture created by trackPointerDrag()
  */
-function dragMouseStop() {
-    document.onmouseup = null;
-    document.onmousemove = null;
+function dragMouseStop(gesture) {
+    gesture.target.removeEventListener('pointermove', gesture.move);
+    gesture.target.removeEventListener('pointerup', gesture.stop);
+    gesture.target.removeEventListener('pointercancel', gesture.stop);
 }
 
 /**
@@ -256,13 +306,79 @@ function changeVerticalMeasures(element, parent, mouseDrag, zone) {
     }
 }
 
-// WINDOW.onresize - WINDOW.onload ----------------------------------------
+// HELPERS ----------------------------------------------------------------
+
+/**
+ * Get the elements referenced by an id, a CSS selector, an element, a NodeList or an array of elements
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Array} elements
+ */
+function getElements(target) {
+    if (typeof target === 'string') {
+        // Ids first, they don't need to be valid CSS selectors
+        let element = document.getElementById(target);
+        if (element !== null) {
+            return [element];
+        }
+        return Array.prototype.slice.call(document.querySelectorAll(target));
+    }
+    if (target instanceof Element) {
+        return [target];
+    }
+    return Array.prototype.slice.call(target);
+}
+
+/**
+ * Check if a target references a single element: an element or an existing id
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Boolean}
+ */
+function isSingleElementTarget(target) {
+    if (typeof target === 'string') {
+        return document.getElementById(target) !== null;
+    }
+    return target instanceof Element;
+}
+
+/**
+ * Give an id to an element without one.
+ * The library uses the id to keep track of the element and to name the elements it creates.
+ * 
+ * @param {HTMLElement} element 
+ * @returns {Boolean} True if the id was generated
+ */
+function ensureElementId(element) {
+    if (element.id !== '') {
+        return false;
+    }
+    let count = 1;
+    while (document.getElementById('interactive' + count) !== null) {
+        count++;
+    }
+    element.id = 'interactive' + count;
+    return true;
+}
+
+/**
+ * Check if a pointer event comes from the primary button of the primary pointer.
+ * Left mouse button, first finger touch or pen contact.
+ * 
+ * @param {PointerEvent} event 
+ * @returns {Boolean}
+ */
+function isPrimaryPointer(event) {
+    return event.isPrimary && event.button == 0;
+}
+
+// WINDOW RESIZE - WINDOW LOAD -------------------------------------------
 
 /**
  * Ensure window resize and window load without errors.
  */
-window.onresize = resizeOnWindowChange;
-window.onload = resizeOnWindowChange;
+window.addEventListener('resize', resizeOnWindowChange);
+window.addEventListener('load', resizeOnWindowChange);
 
 /**
  * Avoid losing resizable elements outside the window when the window is resized
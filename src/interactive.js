@@ -1,13 +1,67 @@
 /**
- * Make an element interactive.
+ * interactive.js
+ * Convert HTML elements into interactive elements: drag, resize, minimize, maximize and close.
+ * 
+ * UMD module, the library is exposed as a single `interactive` namespace:
+ * a global on <script> tags, an AMD module or a CommonJS module.
+ * Run `npm run build` to get the ES module build.
+ */
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    }
+    else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    }
+    else {
+        root.interactive = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+
+'use strict';
+
+/**
+ * Make elements interactive.
  * Drag, resize, minimize, maximize, close interactions.
  * 
- * @param {String}  id - Id of the element we're making interactive
+ * @param {String|HTMLElement|NodeList|Array} target - Id, CSS selector, element or list of elements we're making interactive
  * @param {Object}  config
+ * @returns {Object|Array} Handle to control the element programmatically.
+ *                         One handle per element (Array) for CSS selectors, NodeLists and arrays.
+ */
+function interactive(target, config) {
+
+    let elements = getElements(target);
+    let handles = [];
+    for (let i = 0, len = elements.length; i < len; i++) {
+        handles.push(makeInteractive(elements[i], config));
+    }
+
+    return isSingleElementTarget(target) ? handles[0] : handles;
+}
+
+/**
+ * Make an element interactive. Elements that are already interactive keep their config.
+ * 
+ * @param {HTMLElement} element 
+ * @param {Object} config 
+ * @returns {Object} Handle to control the element programmatically
  */
-function interactive(id, config) {
+function makeInteractive(element, config) {
+
+    if (instanceStorage[element.id] !== undefined) {
+        return createInteractiveHandle(element);
+    }
+
+    // Keep what destroy() needs to bring the element back
+    let generatedId = ensureElementId(element);
+    instanceStorage[element.id] = {
+        config: config === undefined ? {} : config,
+        style: element.getAttribute('style'),
+        nextSibling: element.nextSibling,
+        generatedId: generatedId
+    };
 
-    let element = document.getElementById(id);
     element.classList.add('interactive');
     element.style.zIndex = 'inherit';
 
@@ -33,14 +87,33 @@ function interactive(id, config) {
         }
     }
 
-    element.onmousedown = changeStackOrder;
+    element.addEventListener('pointerdown', changeStackOrder);
+
+    return createInteractiveHandle(element);
+}
+
+/**
+ * Keep track of the interactive elements, their config and original state
+ */
+let instanceStorage = {};
+
+/**
+ * Get the config of an interactive element
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Object} config, empty for elements that are not interactive
+ */
+function getConfig(element) {
+    let instance = instanceStorage[element.id];
+    return instance === undefined ? {} : instance.config;
 }
 
 // RESIZABLE ELEMENT ------------------------------------------------------
 
 /**
  * Make an element resizable.
- * Use of left mouse down + drag to resize element.
+ * Use of primary pointer down + drag to resize element.
+ * With config.resizeParent false the element stays in place and the resize points are overlaid on it.
  * 
  * @param {HTMLelement} element
  */
@@ -48,6 +121,12 @@ function resizable(element) {
     
     element.classList.add('resizable');
 
+    if (getConfig(element).resizeParent === false) {
+        element.classList.add('resizeOverlay');
+        addResizePoints(element, element);
+        return;
+    }
+
     /* 
        Add a parent that will contain the element and its resize points
        The resize parent element must have as parent the actual element parent.
@@ -62,21 +141,37 @@ function resizable(element) {
     addResizePoints(element, resizeParent);
 }
 
+/**
+ * Resize points of a resizable element, in the order they are added
+ */
+let resizePointNames = ['left', 'upperLeft', 'top', 'upperRight', 'right', 'lowerRight', 'bottom', 'lowerLeft'];
+
+/**
+ * Default resize point thickness in px
+ */
+let defaultHandleSize = 3;
+
 /**
  * Add the resize points to a resizable element.
+ * Only the resize points in config.handles are added, all of them by default.
  * Resize points order:
  * | upperLeft |   top   | upperRight
  * | left      | element |    right
  * | lowerLeft | bottom  | lowerRight
  * 
  * @param {HTMLelement} element
- * @param {HTMLelement} parent
+ * @param {HTMLelement} parent - resize parent, the element itself for overlaid resize points
  */
 function addResizePoints(element, parent) {
 
-    initialResizeCssProperties(element, parent);
+    if (parent === element) {
+        initialOverlayCssProperties(element);
+    }
+    else {
+        initialResizeCssProperties(element, parent);
+    }
 
-    let resizePoints = ['left', 'upperLeft', 'top', 'upperRight', 'right', 'lowerRight', 'bottom', 'lowerLeft'];
+    let resizePoints = getResizePointNames(element);
     for (let i = 0, len = resizePoints.length; i < len; i++) {
 
         let div = createElementWithClassName('div', resizePoints[i]);
@@ -104,30 +199,145 @@ function initialResizeCssProperties(element, parent) {
 
     parent.style.top = computed.getPropertyValue('top');
     parent.style.left = computed.getPropertyValue('left');
-    parent.style.gridTemplateRows = '3px ' + h + ' 3px';
-    parent.style.gridTemplateColumns = '3px ' + w + ' 3px';
+    setResizableGrid(element, parent, w, h);
     parent.style.backgroundColor = computed.getPropertyValue('background-color');
 
     element.style.top = '0px';
     element.style.left = '0px';
     element.style.width = w;
     element.style.height = h;
+
+    // Invisible area around the resize points for touch input. It reaches out of the resize parent
+    let config = getConfig(element);
+    if (config.handleHitArea !== undefined) {
+        parent.style.setProperty('--handleHitArea', config.handleHitArea + 'px');
+        parent.classList.add('handleHitArea');
+    }
+}
+
+/**
+ * Set the initial css properties of an element with overlaid resize points
+ * 
+ * @param {HTMLelement} element
+ */
+function initialOverlayCssProperties(element) {
+
+    let computed = getComputedStyle(element);
+
+    // Keep the actual size inline, the resize points change it from there
+    let w = computed.getPropertyValue('width');
+    let h = computed.getPropertyValue('height');
+    element.style.width = w == '0px' || w == '' ? '200px' : w;
+    element.style.height = h == '0px' || h == '' ? '150px' : h;
+
+    // The resize points are placed inside the element. Draggable elements are absolutely positioned
+    if (computed.getPropertyValue('position') == 'static' && getConfig(element).drag === false) {
+        element.style.position = 'relative';
+    }
+
+    let config = getConfig(element);
+    if (config.handleSize !== undefined) {
+        element.style.setProperty('--handleSize', config.handleSize + 'px');
+    }
+    if (config.handleHitArea !== undefined) {
+        element.style.setProperty('--handleHitArea', config.handleHitArea + 'px');
+    }
+}
+
+/**
+ * Check if an element is wrapped in a resize parent
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Boolean}
+ */
+function hasResizeParent(element) {
+    let parent = element.parentElement;
+    return element.classList.contains('resizable') && parent !== null && parent.classList.contains('parentResize');
+}
+
+/**
+ * Get the resize points a resizable element has
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Array} resize point names
+ */
+function getResizePointNames(element) {
+    let handles = getConfig(element).handles;
+    if (handles === undefined) { return resizePointNames; }
+
+    return resizePointNames.filter(function(resizePoint) {
+        return handles.indexOf(resizePoint) != -1;
+    });
+}
+
+/**
+ * Get the space the resize points take on each side of an element.
+ * Sides with resize points take config.handleSize (Default 3px), the others take no space.
+ * Overlaid resize points take no space.
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Object} {left, right, top, bottom, width, height} px, width and height are the totals
+ */
+function getResizePointInsets(element) {
+    let insets = { left: 0, right: 0, top: 0, bottom: 0 };
+
+    if (hasResizeParent(element)) {
+        let config = getConfig(element);
+        let size = config.handleSize === undefined ? defaultHandleSize : config.handleSize;
+        let sides = ['left', 'right', 'top', 'bottom']; // Sorted by zone
+
+        let resizePoints = getResizePointNames(element);
+        for (let i = 0, len = resizePoints.length; i < len; i++) {
+            let zone = getResizePointZone(resizePoints[i]);
+            if (zone[0] !== undefined) { insets[sides[zone[0]]] = size; }
+            if (zone[1] !== undefined) { insets[sides[zone[1]]] = size; }
+        }
+    }
+
+    insets.width = insets.left + insets.right;
+    insets.height = insets.top + insets.bottom;
+    return insets;
+}
+
+/**
+ * Set the grid tracks of a resize parent around the element size
+ * 
+ * @param {HTMLelement} element 
+ * @param {HTMLelement} parent 
+ * @param {Number|String} width - px number or CSS size, undefined keeps the columns
+ * @param {Number|String} height - px number or CSS size, undefined keeps the rows
+ */
+function setResizableGrid(element, parent, width, height) {
+    if (!hasResizeParent(element)) { return; }
+
+    let insets = getResizePointInsets(element);
+
+    if (width !== undefined) {
+        if (typeof width === 'number') { width += 'px'; }
+        parent.style.gridTemplateColumns = insets.left + 'px ' + width + ' ' + insets.right + 'px';
+    }
+    if (height !== undefined) {
+        if (typeof height === 'number') { height += 'px'; }
+        parent.style.gridTemplateRows = insets.top + 'px ' + height + ' ' + insets.bottom + 'px';
+    }
 }
 
 /**
- * Add left mouse down + drag resize functionality to a resize point.
+ * Add primary pointer down + drag resize functionality to a resize point.
+ * Works with mouse, touch and pen input.
  *
  * @param {HTMLelement} element 
  * @param {HTMLelement} parent 
  * @param {HTMLelement} resizePoint 
  */
 function addResizePointFunctionality(element, parent, resizePoint) {
-    resizePoint.onmousedown = function() {
-        if (event.which == 1) { 
+    resizePoint.onpointerdown = function(event) {
+        if (isPrimaryPointer(event)) { 
             trackMouseDragPlusAction({
                 action: 'resize',
+                element: element,
                 param: [element, parent, resizePoint.className]
-            });
+            }, event);
         }
     };
 }
@@ -140,14 +350,22 @@ function addResizePointFunctionality(element, parent, resizePoint) {
  * @param {String} resizePoint
  * @param {Object} mouseDrag - Total drag movement (mouseDrag.x, mouseDrag.y)
  */
-function changeElementSizeAndPosition(element, parent, resizePoint, mouseDrag) {
+function changeElementSizeAndPosition(element, parent, resizePoint, mouseDrag, symmetric) {
     
     // Get the zone where the resize point lives
-    let zone = getResizePointZone(resizePoint);
+    let zone = getResizePointZone(resizePoint, symmetric);
+
+    // Opposite edges grow as much as the resize point edges
+    if (symmetric) {
+        mouseDrag = getSymmetricMouseDrag(element, parent, mouseDrag, zone);
+    }
 
     // Change Measures
     changeHorizontalMeasures(element, parent, mouseDrag.x, zone[0]);
     changeVerticalMeasures(element, parent, mouseDrag.y, zone[1]);
+    // Opposite zones grow with the opposite sign
+    changeHorizontalMeasures(element, parent, -mouseDrag.x, zone[2]);
+    changeVerticalMeasures(element, parent, -mouseDrag.y, zone[3]);
 }
 
 /**
@@ -156,14 +374,82 @@ function changeElementSizeAndPosition(element, parent, resizePoint, mouseDrag) {
  *     0 left     2 top
  *     1 right    3 bottom
  *  
+ * Symmetric resizes add the opposite zones, so both edges of each resized dimension move.
+ *  
  * @param {String} resizePoint 
- * @returns {Array} [horizontal zone, vertical zone] zone code/s or undefined if the resize point does not correspond to a zone 
+ * @param {Boolean} symmetric 
+ * @returns {Array} [horizontal zone, vertical zone, opposite horizontal zone, opposite vertical zone] zone code/s
+ *                  or undefined if the resize point does not correspond to a zone 
  */
-function getResizePointZone(resizePoint) {
-    return [ 
+function getResizePointZone(resizePoint, symmetric) {
+    let zone = [ 
         getHorizontalResizePointZone(resizePoint), // Horizontal zone
         getVerticalResizePointZone(resizePoint) // Vertical zone
     ];
+    if (symmetric) {
+        zone.push(getOppositeResizePointZone(zone[0]), getOppositeResizePointZone(zone[1]));
+    }
+    return zone;
+}
+
+/**
+ * Get the zone across the element: left <-> right, top <-> bottom
+ * 
+ * @param {Integer} zone 
+ * @returns {Integer|undefined} opposite zone code, undefined for undefined
+ */
+function getOppositeResizePointZone(zone) {
+    if (zone === undefined) { return undefined; }
+    return zone % 2 == 0 ? zone + 1 : zone - 1;
+}
+
+/**
+ * Limit the mouse drag of a symmetric resize, so both edges move the same amount
+ * inside the containment and the size stays within the min and max size.
+ * 
+ * @param {HTMLelement} element 
+ * @param {HTMLelement} parent 
+ * @param {Object} mouseDrag - for the resize point zones
+ * @param {Array} zone - see getResizePointZone()
+ * @returns {Object} mouse drag for the resize point zones
+ */
+function getSymmetricMouseDrag(element, parent, mouseDrag, zone) {
+    let offset = getElementOffset(parent);
+    let size = getElementSize(parent);
+    let insets = getResizePointInsets(element);
+    let limit = getContainmentLimits(parent);
+    let sizeLimits = getSizeLimits(element);
+
+    // Growth of each edge. The edges stop at the containment edges
+    let x = zone[0] == 1 ? -mouseDrag.x : mouseDrag.x;
+    let width = size.width - insets.width;
+    let maxX = Math.max(Math.min(offset.left - limit.left, limit.right - offset.left - size.width), 0);
+    x = Math.min(x, maxX, (sizeLimits.maxWidth - width) / 2);
+    x = Math.max(x, (sizeLimits.minWidth - width) / 2);
+
+    let y = zone[1] == 3 ? -mouseDrag.y : mouseDrag.y;
+    let height = size.height - insets.height;
+    let maxY = Math.max(Math.min(offset.top - limit.top, limit.bottom - offset.top - size.height), 0);
+    y = Math.min(y, maxY, (sizeLimits.maxHeight - height) / 2);
+    y = Math.max(y, (sizeLimits.minHeight - height) / 2);
+
+    return {
+        x: zone[0] == 1 ? -x : x,
+        y: zone[1] == 3 ? -y : y
+    };
+}
+
+/**
+ * Check if a resize gesture resizes symmetrically around the element center.
+ * Holding config.symmetricResizeModifier (Default Alt) resizes symmetrically.
+ * 
+ * @param {Object} action 
+ * @param {PointerEvent} event 
+ * @returns {Boolean}
+ */
+function isSymmetricResize(action, event) {
+    let modifier = getConfig(action.element).symmetricResizeModifier;
+    return event.getModifierState(modifier === undefined ? 'Alt' : modifier);
 }
 
 /**
@@ -215,26 +501,28 @@ function changeHorizontalMeasures(element, parent, mouseDrag, zone) {
     if (zone == 1) {
         mouseDrag = -mouseDrag;
     }
-    let width = parseInt(element.style.width.slice(0, -2)) + mouseDrag;
+    let insets = getResizePointInsets(element);
+    let width = getElementSize(parent).width - insets.width;
+    let offset = getElementOffset(parent);
+    let offsetLeft = offset.left;
+    let limit = getContainmentLimits(parent);
 
-    // Ensure max width for right zones
-    let offsetLeft = parent.offsetLeft;
-    if (zone == 1 && offsetLeft + width + 6 > document.body.clientWidth) { // Default resize point width 3px
-        return;
-    }
-    
-    if (width >= 5) { // Ensure min width (Default 5px)
+    let sizeLimits = getSizeLimits(element);
 
-        // Change offset for left zones
-        if (zone == 0) {
-            let newOffset = offsetLeft - mouseDrag; 
-            if (newOffset < 0) { return; } // Ensure max width for left zones
-            parent.style.left = newOffset + 'px';
-        }
-        
-        element.style.width = width + 'px';
-        parent.style.gridTemplateColumns = '3px ' + width + 'px 3px';
+    // Ensure max width. The zone edge stops at the containment edge
+    let maxDrag = zone == 0 ? offsetLeft - limit.left : limit.right - offsetLeft - width - insets.width;
+    mouseDrag = Math.min(mouseDrag, Math.max(maxDrag, 0), sizeLimits.maxWidth - width);
+    // Ensure min width
+    mouseDrag = Math.max(mouseDrag, sizeLimits.minWidth - width);
+
+    width += mouseDrag;
+
+    // Change offset for left zones
+    if (zone == 0) {
+        setElementOffset(parent, offsetLeft - mouseDrag, offset.top);
     }
+    
+    setResizableSize(element, width, undefined);
 }
 
 /**
@@ -252,34 +540,242 @@ function changeVerticalMeasures(element, parent, mouseDrag, zone) {
         mouseDrag = -mouseDrag;
     }
     
-    let height = parseInt(element.style.height.slice(0, -2)) + mouseDrag;
-    
-    // Ensure max height for bottom zones
-    let offsetTop = parent.offsetTop;
-    if (zone == 3 && offsetTop + height + 6 > document.body.clientHeight) { // Default resize point width 3px
-        return;
+    let insets = getResizePointInsets(element);
+    let height = getElementSize(parent).height - insets.height;
+    let offset = getElementOffset(parent);
+    let offsetTop = offset.top;
+    let limit = getContainmentLimits(parent);
+
+    let sizeLimits = getSizeLimits(element);
+
+    // Ensure max height. The zone edge stops at the containment edge
+    let maxDrag = zone == 2 ? offsetTop - limit.top : limit.bottom - offsetTop - height - insets.height;
+    mouseDrag = Math.min(mouseDrag, Math.max(maxDrag, 0), sizeLimits.maxHeight - height);
+    // Ensure min height
+    mouseDrag = Math.max(mouseDrag, sizeLimits.minHeight - height);
+
+    height += mouseDrag;
+
+    // Change offset for top zones
+    if (zone == 2) {
+        setElementOffset(parent, offset.left, offsetTop - mouseDrag);
     }
     
-    
-    if (height >= 5) { // Ensure min height (Default 5px)
+    setResizableSize(element, undefined, height);
+}
+
+/**
+ * Get the size limits of an element.
+ * Taken from config.minWidth, minHeight, maxWidth and maxHeight, or from the
+ * element computed CSS min-/max- properties in px. Default min size 5px.
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Object} {minWidth, minHeight, maxWidth, maxHeight} in px
+ */
+function getSizeLimits(element) {
+    let config = getConfig(element);
+    let style = window.getComputedStyle(element);
+    return {
+        minWidth: getSizeLimit(config.minWidth, style.minWidth, 5),
+        minHeight: getSizeLimit(config.minHeight, style.minHeight, 5),
+        maxWidth: getSizeLimit(config.maxWidth, style.maxWidth, Infinity),
+        maxHeight: getSizeLimit(config.maxHeight, style.maxHeight, Infinity)
+    };
+}
+
+/**
+ * Get one size limit
+ * 
+ * @param {Number} value - config value
+ * @param {String} cssValue - computed CSS value
+ * @param {Number} defaultValue 
+ * @returns {Number} px
+ */
+function getSizeLimit(value, cssValue, defaultValue) {
+    if (value !== undefined) {
+        return value;
+    }
+    // Percentages, 'none', 'auto' and 0 use the default
+    if (/px$/.test(cssValue) && parseFloat(cssValue) > 0) {
+        return parseFloat(cssValue);
+    }
+    return defaultValue;
+}
+
+/**
+ * Keep a size between its limits. The min size wins over the max size.
+ * 
+ * @param {Number} size 
+ * @param {Number} min 
+ * @param {Number} max 
+ * @returns {Number}
+ */
+function clampSize(size, min, max) {
+    return Math.max(min, Math.min(size, max));
+}
 
-        // Change offset for top zones
-        if (zone == 2) {
-            let newOffset = offsetTop - mouseDrag; 
-            if (newOffset < 0) { return; } // Ensure max width for left zones
-            parent.style.top = newOffset + 'px';
+/**
+ * Set the width and/or height of a resizable element.
+ * Elements resized with an outline only change the outline.
+ * 
+ * @param {HTMLelement} element 
+ * @param {Number} width - px, undefined keeps the width
+ * @param {Number} height - px, undefined keeps the height
+ */
+function setResizableSize(element, width, height) {
+    let outline = outlineStorage[element.id];
+    let parent = getPositionedElement(element);
+    let insets = getResizePointInsets(element);
+    // Elements with overlaid resize points are measured with their padding and border
+    let box = hasResizeParent(element) ? { width: 0, height: 0 } : getBoxModelSize(element);
+
+    if (width !== undefined) {
+        if (outline !== undefined) {
+            outline.width = width + insets.width;
         }
-        
-        element.style.height = height + 'px';
-        parent.style.gridTemplateRows = '3px ' + height + 'px 3px';
+        else {
+            element.style.width = width - box.width + 'px';
+            setResizableGrid(element, parent, width, undefined);
+        }
+    }
+    if (height !== undefined) {
+        if (outline !== undefined) {
+            outline.height = height + insets.height;
+        }
+        else {
+            element.style.height = height - box.height + 'px';
+            setResizableGrid(element, parent, undefined, height);
+        }
+    }
+
+    if (outline !== undefined) {
+        updateOutline(outline);
+    }
+}
+
+/**
+ * Get the padding and border the CSS width and height of an element leave out
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Object} {width, height} px, 0 for border-box elements
+ */
+function getBoxModelSize(element) {
+    let computed = getComputedStyle(element);
+    if (computed.getPropertyValue('box-sizing') == 'border-box') {
+        return { width: 0, height: 0 };
+    }
+
+    let sum = function(properties) {
+        return properties.reduce(function(total, property) {
+            return total + (parseFloat(computed.getPropertyValue(property)) || 0);
+        }, 0);
+    };
+    return {
+        width: sum(['padding-left', 'padding-right', 'border-left-width', 'border-right-width']),
+        height: sum(['padding-top', 'padding-bottom', 'border-top-width', 'border-bottom-width'])
+    };
+}
+
+/**
+ * Get the aspect ratio a resize gesture keeps.
+ * config.aspectRatio is a width / height number or 'initial' for the ratio the element has
+ * when the gesture starts. Holding config.aspectRatioModifier (Default Shift) toggles the lock.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event 
+ * @returns {Number|undefined} width / height, undefined if the ratio is free
+ */
+function getActiveAspectRatio(gesture, event) {
+    let config = getConfig(gesture.action.element);
+    let ratio = config.aspectRatio === 'initial' ? gesture.startRatio : config.aspectRatio;
+
+    let modifier = config.aspectRatioModifier === undefined ? 'Shift' : config.aspectRatioModifier;
+    if (event.getModifierState(modifier)) {
+        ratio = ratio === undefined ? gesture.startRatio : undefined;
     }
+    return ratio;
+}
+
+/**
+ * Get the resize point that changes both dimensions when an edge is used with an aspect ratio.
+ * Left and right edges grow downwards, top and bottom edges grow to the right.
+ * 
+ * @param {String} resizePoint 
+ * @returns {String} corner resize point
+ */
+function getAspectRatioResizePoint(resizePoint) {
+    let corners = {
+        left: 'lowerLeft',
+        right: 'lowerRight',
+        top: 'upperRight',
+        bottom: 'lowerRight'
+    };
+    return corners[resizePoint] || resizePoint;
+}
+
+/**
+ * Change the target measures of a resize gesture to keep the aspect ratio.
+ * Edges drive the other dimension. Corners follow the dimension the pointer changed the most.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {Object} target - target measures, see getGestureMouseDrag()
+ */
+function applyAspectRatio(gesture, target) {
+    let start = gesture.startRect;
+    let symmetric = gesture.action.symmetric;
+    let zone = getResizePointZone(gesture.resizePoint);
+    let cornerZone = getResizePointZone(gesture.action.param[2]);
+    let insets = getResizePointInsets(gesture.action.element);
+    let startWidth = start.width - insets.width;
+    let startHeight = start.height - insets.height;
+
+    // Start measures of the right and bottom zones, see getActionMeasures()
+    let startRight = symmetric ? start.left + start.width : start.width;
+    let startBottom = symmetric ? start.top + start.height : start.height;
+    // Symmetric resizes move both edges, the size changes twice the pointer movement
+    let growth = symmetric ? 2 : 1;
+
+    // Element size the pointer asks for
+    let width = startWidth;
+    if (zone[0] == 0) { width = startWidth + (start.left - target.x) * growth; }
+    if (zone[0] == 1) { width = startWidth + (target.x - startRight) * growth; }
+    let height = startHeight;
+    if (zone[1] == 2) { height = startHeight + (start.top - target.y) * growth; }
+    if (zone[1] == 3) { height = startHeight + (target.y - startBottom) * growth; }
+
+    let widthChange = Math.abs(width / startWidth - 1);
+    let heightChange = Math.abs(height / startHeight - 1);
+    if (zone[0] !== undefined && (zone[1] === undefined || widthChange >= heightChange)) {
+        height = width / gesture.ratio;
+    }
+    else {
+        width = height * gesture.ratio;
+    }
+
+    // Stay proportional inside the size limits and the containment
+    let parent = getPositionedElement(gesture.action.element);
+    let sizeLimits = getSizeLimits(gesture.action.element);
+    let limit = getContainmentLimits(parent);
+    let maxWidth = cornerZone[0] == 0 ? start.left + start.width - limit.left : limit.right - start.left;
+    let maxHeight = cornerZone[1] == 2 ? start.top + start.height - limit.top : limit.bottom - start.top;
+    if (symmetric) {
+        maxWidth = start.width + 2 * Math.min(start.left - limit.left, limit.right - start.left - start.width);
+        maxHeight = start.height + 2 * Math.min(start.top - limit.top, limit.bottom - start.top - start.height);
+    }
+    width = clampSize(width, sizeLimits.minWidth, Math.min(sizeLimits.maxWidth, maxWidth - insets.width));
+    height = clampSize(width / gesture.ratio, sizeLimits.minHeight, Math.min(sizeLimits.maxHeight, maxHeight - insets.height));
+    width = height * gesture.ratio;
+
+    // Back to the measures of the corner zones
+    target.x = cornerZone[0] == 0 ? start.left - (width - startWidth) / growth : startRight + (width - startWidth) / growth;
+    target.y = cornerZone[1] == 2 ? start.top - (height - startHeight) / growth : startBottom + (height - startHeight) / growth;
 }
 
 // DRAGGABLE ELEMENT ------------------------------------------------------
 
 /**
  * Make an element draggable.
- * Use of left mouse down + drag to drag elements.
+ * Use of primary pointer down + drag to drag elements.
  *
  * @param {HTMLelement} element
  */
@@ -300,22 +796,25 @@ function draggable(element) {
     }
 
     // Drag config for resizable elements
+    let positioned = element;
     if (element.classList.contains('resizable')) {
         // Ensures an element is a interactive.js resizable element
         let parent = element.parentElement;
         if (parent.classList.contains('parentResize')) {
             // resizePoints styling
             resizePointsStyling(element, dragPoint);
-            element = parent;
+            positioned = parent;
         }
     }
 
-    dragPoint.onmousedown = function() {
-        if (event.which == 1) {
+    dragPoint.onpointerdown = function(event) {
+        // Ignore presses on min, max and close buttons living inside the drag point
+        if (isPrimaryPointer(event) && event.target.closest('.mmcBtn') === null) {
             trackMouseDragPlusAction({
                 action: 'drag',
-                param: [element]
-            });
+                element: element,
+                param: [positioned]
+            }, event);
         }
     };  
 }
@@ -329,6 +828,7 @@ function initialDragPointStyling(dragPoint) {
     dragPoint.style.width = '100%';
     dragPoint.style.height = '20px';
     dragPoint.style.backgroundColor = 'rgb(48, 55, 97)';
+    dragPoint.style.touchAction = 'none'; // Avoid touch scrolling while dragging
 }
 
 /**
@@ -338,15 +838,13 @@ function initialDragPointStyling(dragPoint) {
  * @param {HTMLelement} dragPoint 
  */
 function resizePointsStyling(element, dragPoint) { 
-    for (let i = 0; i < 5; i++) {
-        let sibling = element.nextSibling;
+    for (let sibling = element.nextSibling; sibling !== null; sibling = sibling.nextSibling) {
         if (sibling.className == 'left' || sibling.className == 'right') {
             sibling.style.borderTop = dragPoint.style.height + ' solid ' + dragPoint.style.backgroundColor;
         }
-        else {
+        else if (getVerticalResizePointZone(sibling.className) == 2) { // Resize points next to the header
             sibling.style.backgroundColor = dragPoint.style.backgroundColor;
         }
-        element = sibling;
     }
 }
 
@@ -356,28 +854,29 @@ function resizePointsStyling(element, dragPoint) {
  * 
  * @param {HTMLElement} ele - element
  * @param {Object} mouseDrag
+ * @param {String} axis - 'x' or 'y' to move along one axis only, see getDragAxis()
  * @returns {Object} The new X and Y position fot the element
  */
-function getDragNewPosition(ele, mouseDrag) {
+function getDragNewPosition(ele, mouseDrag, axis) {
     
     // Get element properties
     let element = getElementOffsetAndMeasures(ele);
 
+    // Lock the movement to one axis
+    if (axis == 'x') {
+        mouseDrag = { x: mouseDrag.x, y: 0 };
+    }
+    else if (axis == 'y') {
+        mouseDrag = { x: 0, y: mouseDrag.y };
+    }
+
     // Calculate the new position of the element
     let newPosition = {
         x : element.left - mouseDrag.x,
         y : element.top - mouseDrag.y
     };
-
-    // Get element boundaries
-    let boundaries = {
-        left : newPosition.x,
-        top : newPosition.y,
-        right: newPosition.x + element.width,
-        bottom: newPosition.y + element.height,
-    };
   
-    return preventDragOutsideScreen(element, newPosition, boundaries);
+    return preventDragOutsideScreen(element, newPosition, getContainmentLimits(ele), getConfig(getInteractiveElement(ele)).keepVisible);
 }
 
 /**
@@ -386,39 +885,43 @@ function getDragNewPosition(ele, mouseDrag) {
  * @param {HTMLelement} element 
  */
 function getElementOffsetAndMeasures(element) {
+    let offset = getElementOffset(element);
+    let size = getElementSize(element);
     return {
-        left: element.offsetLeft,
-        top: element.offsetTop,
-        height: element.offsetHeight,
-        width: element.offsetWidth
+        left: offset.left,
+        top: offset.top,
+        height: size.height,
+        width: size.width
     };
 }
 
 /**
- * Prevent from dragging an element outside the body document
+ * Prevent from dragging an element outside its containment.
+ * The new position is clamped to the containment edges.
+ * With keepVisible the element may leave the containment through the sides and the bottom
+ * as long as keepVisible px of its width and of its top (title bar) stay inside.
  * 
  * @param {Object} element - Element original properties offset, width, height
  * @param {*} newPosition
- * @param {*} boundaries - Element boundaries based on new position
+ * @param {Object} limit - containment limits, see getContainmentLimits()
+ * @param {Number} keepVisible - px of the element that stay inside the containment
  */
-function preventDragOutsideScreen(element, newPosition, boundaries) {
-    // Get the document limits
-    let limit = getDocumentBodyLimits();
-
-    // Assign the previous position to the new postion if limit is exceeded
-    if (boundaries.left < limit.left) {
-        newPosition.x = element.left;
-    }
-    if (boundaries.top < limit.top) {
-        newPosition.y = element.top;
-    }
-    if (boundaries.right > limit.right) {
-        newPosition.x = element.left;
-    }
-    if (boundaries.bottom > limit.bottom) {
-        newPosition.y = element.top;
+function preventDragOutsideScreen(element, newPosition, limit, keepVisible) {
+    // Range of the left and top offset
+    let minX = limit.left;
+    let maxX = limit.right - element.width;
+    let minY = limit.top;
+    let maxY = limit.bottom - element.height;
+    if (keepVisible !== undefined) {
+        minX = limit.left - element.width + Math.min(keepVisible, element.width);
+        maxX = limit.right - Math.min(keepVisible, element.width);
+        maxY = limit.bottom - Math.min(keepVisible, element.height);
     }
 
+    // Elements bigger than the containment stick to its left and top edges
+    newPosition.x = Math.max(minX, Math.min(newPosition.x, maxX));
+    newPosition.y = Math.max(minY, Math.min(newPosition.y, maxY));
+
     return newPosition;
 }
 
@@ -432,670 +935,2374 @@ function preventDragOutsideScreen(element, newPosition, boundaries) {
  */
 function dragAction(action, mouseDrag) {
     if (action.action == 'resize') {
-        changeElementSizeAndPosition(action.param[0], action.param[1], action.param[2], mouseDrag);
+        changeElementSizeAndPosition(action.param[0], action.param[1], action.param[2], mouseDrag, action.symmetric);
     }
     if (action.action == 'drag') {
         // Prevent dragging elements outside the screen
         let newPosition = getDragNewPosition(action.param[0], mouseDrag);
         // New position
-        action.param[0].style.left = newPosition.x + "px";
-        action.param[0].style.top = newPosition.y + "px";
+        setElementOffset(action.param[0], newPosition.x, newPosition.y);
     }
 }
 
-// MIN MAX CLOSE FUNCTIONALITY --------------------------------------------
+/**
+ * Pointer movement in px before a Shift drag locks to its dominant axis
+ */
+let axisLockThreshold = 5;
 
 /**
- * Add Close functionality to an element
+ * Get the axis a drag gesture is locked to.
+ * config.axis always applies. Otherwise holding Shift locks the drag to the axis
+ * the pointer has moved the most along, once it has moved axisLockThreshold px.
  * 
- * @param {HTMLelement} element 
- * @param {Boolean} icon 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event - pointermove event
+ * @returns {String|undefined} 'x', 'y' or undefined for a free drag
  */
-function close(element) {
-    // Add close button
-    let svgPath = [ { name: 'close', path: 'M45.1,41.6l-3.3,3.3L5.1,8.2l3.3-3.3L45.1,41.6z M8.4,45.1l-3.3-3.3L41.8,5.1l3.3,3.3L8.4,45.1z'} ];
-    addFunctionButton(element, svgPath);
+function getDragAxis(gesture, event) {
+    let axis = getConfig(gesture.action.element).axis;
+    if (axis !== undefined) { return axis; }
 
-    // Add close functionality
-    addCloseFunctionality(element);
+    if (!event.shiftKey) {
+        gesture.lockedAxis = undefined;
+        return undefined;
+    }
+
+    if (gesture.lockedAxis === undefined) {
+        let moveX = Math.abs(event.clientX - gesture.startX);
+        let moveY = Math.abs(event.clientY - gesture.startY);
+        if (Math.max(moveX, moveY) >= axisLockThreshold) {
+            gesture.lockedAxis = moveX >= moveY ? 'x' : 'y';
+        }
+    }
+    return gesture.lockedAxis;
 }
 
 /**
- * Add the close functionality to the close icon
+ * Keep the locked coordinate of an axis-locked drag where the gesture started
  * 
- * @param {HTMLElement} element 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {Object} mouseDrag - changed in place
+ * @param {String|undefined} axis - see getDragAxis()
  */
-function addCloseFunctionality(element) {
+function lockMouseDragToAxis(gesture, mouseDrag, axis) {
+    if (axis === undefined) { return; }
 
-    closeBtn = getButton(element, 'closeBtn');
-    // Ensure compatilibily with resizable elements
-    closeBtn.onclick = function() {
-        let parent = element.parentNode;
-        if (element.classList.contains('resizable')) {
-            parent.parentNode.removeChild(parent);
-        }
-        else {
-            parent.removeChild(element);
-        }
-    };
+    let actual = getActionMeasures(gesture.action);
+    if (axis == 'x') {
+        mouseDrag.y = actual.y - gesture.measures.y;
+    }
+    else {
+        mouseDrag.x = actual.x - gesture.measures.x;
+    }
 }
 
 /**
- * Add minimize and mazimize functionality to an element
+ * Get the measures a drag or resize action changes.
+ * drag: left and top offset. resize: left/top offset for left/top zones, width/height for right/bottom zones.
  * 
- * @param {HTMLelement} element 
- * @param {Boolean} icons 
- * @param {Boolean} dblClick 
+ * @param {Object} action 
+ * @returns {Object} {x, y} measures in px
  */
-function minMax(element, minZone, icons, dblClick){
+function getActionMeasures(action) {
+    if (action.action == 'drag') {
+        let offset = getElementOffset(action.param[0]);
+        return { x: offset.left, y: offset.top };
+    }
 
-    // Add minimize and maximize buttons
-    if (icons !== false) {
-        let svgPath = [ { name: 'max', path: 'M27.3,45h-4.7V5h4.7V45z M5,27.3v-4.6H45v4.6H5z'},
-                        { name: 'min', path: 'M5,27.3v-4.6H45v4.6H5z'} ];
-        addFunctionButton(element, svgPath);
+    let parent = action.param[1];
+    let offset = getElementOffset(parent);
+    let size = getElementSize(parent);
+    let zone = getResizePointZone(action.param[2]);
+
+    // Symmetric resizes move the right and bottom edges, measure where they are
+    if (action.symmetric) {
+        return {
+            x: zone[0] == 0 ? offset.left : offset.left + size.width,
+            y: zone[1] == 2 ? offset.top : offset.top + size.height
+        };
     }
-    // Add minimize functionality
-    addMinimizeFunction(element, minZone, icons, dblClick);
-    // Maximize function (screen size)
-    addFullScreenMaximizeFunction(element);
+    return {
+        x: zone[0] == 0 ? offset.left : size.width,
+        y: zone[1] == 2 ? offset.top : size.height
+    };
 }
 
 /**
- * Add the buttons and icons for a minMax or close function to work
+ * Get the mouse drag that takes the action measures to where the pointer asks for.
+ * The pointer asks for the measures at the start of the gesture plus the pointer movement
+ * since then, so the grabbed point stays under the cursor even after a move was clamped.
+ * The scroll of the container is added, so the element follows the pointer while it scrolls.
  * 
- * @param {HTMLelement} element 
- * @param {Array} svgPath 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event - pointermove event
+ * @returns {Object} mouse drag
  */
-function addFunctionButton(element, svgPath) {
+function getGestureMouseDrag(gesture, event) {
 
-    // Ensure compatibility with draggable elements
-    let className = 'path';
-    if (element.classList.contains('draggable')) {
-        element = element.firstElementChild;
-        className = 'dragPath';
+    let scroll = gesture.scrollContainer;
+    let target = {
+        x: gesture.measures.x + event.clientX - gesture.startX + scroll.scrollLeft - gesture.scrollLeft,
+        y: gesture.measures.y + event.clientY - gesture.startY + scroll.scrollTop - gesture.scrollTop
+    };
+
+    let grid = getActiveGrid(gesture.action, event);
+    if (grid !== undefined) {
+        target.x = Math.round(target.x / grid.x) * grid.x;
+        target.y = Math.round(target.y / grid.y) * grid.y;
     }
 
-    let container = createButtonsContainer(element);
+    if (gesture.magnetEdges !== undefined) {
+        snapToMagnetEdges(gesture, target);
+    }
 
-    for (let i = 0, len = svgPath.length; i < len; i++) {
+    if (gesture.ratio !== undefined) {
+        applyAspectRatio(gesture, target);
+    }
 
-        let div = createElementWithClassName('button', svgPath[i].name + 'Btn mmcBtn');
-        let svg = createSvgShape({
-            svg: [{ attr: 'class', value: 'svgIcon'}, { attr: 'viewBox', value: '0 0 50 50'}],
-            shape: [{
-                shape: 'path',
-                attrList: [
-                    { attr: 'd', value: svgPath[i].path },
-                    { attr: 'class', value: className}
-                ]
-            }]
-        });
+    let actual = getActionMeasures(gesture.action);
+    return { x: actual.x - target.x, y: actual.y - target.y };
+}
 
-        div.appendChild(svg);
-        container.appendChild(div);
+/**
+ * Continue a gesture from the current pointer position and element measures
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event 
+ */
+function restartGesture(gesture, event) {
+    gesture.startX = event.clientX;
+    gesture.startY = event.clientY;
+    gesture.scrollLeft = gesture.scrollContainer.scrollLeft;
+    gesture.scrollTop = gesture.scrollContainer.scrollTop;
+    gesture.measures = getActionMeasures(gesture.action);
+    if (gesture.startRect !== undefined) {
+        gesture.startRect = getElementOffsetAndMeasures(getPositionedElement(gesture.action.element));
     }
+}
 
-    // Ensure buttons are the first element child
-    let firstElement = element.firstChild;
-    if (firstElement != null) {
-        element.insertBefore(container, firstElement);
-    }
-    else {
-        element.appendChild(container);
+// AUTO SCROLL ------------------------------------------------------------
+
+/**
+ * Distance in px from the container edges where dragging scrolls the container
+ */
+let autoScrollMargin = 40;
+
+/**
+ * Scroll speed in px per frame when the pointer reaches the container edges
+ */
+let autoScrollMaxSpeed = 20;
+
+/**
+ * Get the container that scrolls an element: the closest ancestor with
+ * overflow auto or scroll, or the document.
+ * 
+ * @param {HTMLelement} element 
+ * @returns {HTMLelement}
+ */
+function getScrollContainer(element) {
+    for (let parent = element.parentElement; parent !== null && parent !== document.body; parent = parent.parentElement) {
+        let style = window.getComputedStyle(parent);
+        if (/(auto|scroll)/.test(style.overflow + style.overflowX + style.overflowY)) {
+            return parent;
+        }
     }
+    return document.scrollingElement || document.documentElement;
 }
 
 /**
- * Create min, max and close buttons contianer
+ * Get the scroll speed for a pointer position. The closer to the container edge, the faster.
  * 
- * @returns {HTMLelement} container
+ * @param {HTMLelement} container 
+ * @param {PointerEvent} event 
+ * @returns {Object} {x, y} px per frame
  */
-function createButtonsContainer(element) {
-    
-    let container = element.firstElementChild;
-    
-    if (container === null || container.className !== 'btnContainer') {
-        container = createElementWithClassName('div', 'btnContainer');
+function getAutoScrollSpeed(container, event) {
+    // Visible part of the container
+    let box = { left: 0, top: 0, right: document.documentElement.clientWidth, bottom: document.documentElement.clientHeight };
+    if (container !== document.scrollingElement && container !== document.documentElement) {
+        let rect = container.getBoundingClientRect();
+        box = {
+            left: rect.left + container.clientLeft,
+            top: rect.top + container.clientTop,
+            right: rect.left + container.clientLeft + container.clientWidth,
+            bottom: rect.top + container.clientTop + container.clientHeight
+        };
     }
 
-    return container;
+    return {
+        x: getAutoScrollAxisSpeed(event.clientX - box.left, box.right - event.clientX),
+        y: getAutoScrollAxisSpeed(event.clientY - box.top, box.bottom - event.clientY)
+    };
 }
 
 /**
- * Add minimize functionality on double click and/or click to an element.
+ * Get the scroll speed along one axis
  * 
- * @param {HTMLElement} element 
- * @param {HTMLelement} minZone
- * @param {boolean} icons
- * @param {boolean} doubleClick
+ * @param {Number} start - distance to the left or top edge
+ * @param {Number} end - distance to the right or bottom edge
+ * @returns {Number} px per frame, negative towards the start
  */
-function addMinimizeFunction(element, minZone, icons, doubleClick) {
-
-    // Add minimize area
-    addMinimizeArea(minZone);
-
-    // Minimize on double click
-    if (doubleClick !== false) {
-        // Invalidate dblclick on draggable elements, use instead dblclick on element header to minimize. 
-        if (element.classList.contains('draggable')) {
-            element = element.firstElementChild;
-        }
-        element.ondblclick = minimize;
+function getAutoScrollAxisSpeed(start, end) {
+    if (start < autoScrollMargin) {
+        return -Math.round(autoScrollMaxSpeed * Math.min(1, 1 - start / autoScrollMargin));
     }
-    // Minimize on minimize icon click
-    if (icons !== false) {
-        let minBtn = getButton(element, 'minBtn');
-        minBtn.onclick = minimize;
+    if (end < autoScrollMargin) {
+        return Math.round(autoScrollMaxSpeed * Math.min(1, 1 - end / autoScrollMargin));
     }
+    return 0;
 }
 
 /**
- * Adds to an specific element, the zone where the minimized elements will live.
- * The minimize zone will be appended to the body by default.
+ * Scroll the container of a gesture every frame while the pointer is near its edges.
+ * The element is moved with the last pointer position to stay under the pointer.
  * 
- * @param {HTMLelement} minZone
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
  */
-function addMinimizeArea(minZone) {
-    if (document.getElementById('minimizeZone') == null) {
-
-        let minArea = document.createElement('div');
-        minArea.id = 'minimizeZone';
-
-        if (minZone == undefined) {
-            document.body.append(minArea);
-        }
-        else {
-            minZone.append(minArea);
+function autoScroll(gesture) {
+    if (gesture.lastEvent !== undefined) {
+        let container = gesture.scrollContainer;
+        let speed = getAutoScrollSpeed(container, gesture.lastEvent);
+        let scrollLeft = container.scrollLeft;
+        let scrollTop = container.scrollTop;
+        container.scrollLeft += speed.x;
+        container.scrollTop += speed.y;
+
+        if (container.scrollLeft != scrollLeft || container.scrollTop != scrollTop) {
+            gesture.update(gesture.lastEvent);
         }
     }
+
+    gesture.autoScrollFrame = requestAnimationFrame(function() { autoScroll(gesture); });
 }
 
+// PERFORMANCE MODE -------------------------------------------------------
+
 /**
- * Minimize element
+ * Offsets of the elements moved with CSS transforms during a gesture
  */
-function minimize() {
+let transformStorage = {};
 
-    // Store information of the minimized element.
-    let element;
-    if (event.type == 'dblclick') {
-        element = storeMinimizedElement(this);
-    }
-    if (event.type == 'click') {
-        element = storeMinimizedElement(this.parentNode.parentNode);
+/**
+ * Get the left and top offset of an element, also while it's moved with a CSS transform
+ * 
+ * @param {HTMLelement} positioned 
+ * @returns {Object} {left, top} in px
+ */
+function getElementOffset(positioned) {
+    let id = getInteractiveElement(positioned).id;
+    let offset = outlineStorage[id] || transformStorage[id];
+    if (offset !== undefined) {
+        return { left: offset.left, top: offset.top };
     }
-    
-    // Avoid errors by duplicated items caused by event bubbling
-    if (deleteDuplicatedItemsMinStorage()) { return; }
-    
-    // UI adjustments
-    minimizeUI(element);
+    return { left: positioned.offsetLeft, top: positioned.offsetTop };
 }
 
 /**
- * Keep track of the minimized items and its information.
- * Ensure compatibility with resizable and draggable elements,
- * by returning the element needed for the ui changes.
+ * Set the CSS left and top that place an element at a left and top offset.
+ * Relatively positioned elements are shifted from the place the layout gives them.
  * 
- * @param {HTMLelement} element
- * @returns HTML element UI changes
+ * @param {HTMLelement} positioned 
+ * @param {Number} left - px
+ * @param {Number} top - px
  */
-let minStorage = [];
-function storeMinimizedElement(element) {
-
-    let template = {
-        id: element.id,
-        title: element.getAttribute('name')
-    };
-
-    // Ensure compatibility
-    if (element.classList.contains('resizable')) {
-        element = element.parentNode;
+function setCssOffset(positioned, left, top) {
+    let computed = getComputedStyle(positioned);
+    if (computed.getPropertyValue('position') == 'relative') {
+        left -= positioned.offsetLeft - (parseFloat(computed.getPropertyValue('left')) || 0);
+        top -= positioned.offsetTop - (parseFloat(computed.getPropertyValue('top')) || 0);
     }
-    if (element.classList.contains('dragPoint')) {
-        element = element.parentNode; // Template compatibility
-        template.id = element.id;
-        template.title = element.getAttribute('name');
+    positioned.style.left = left + 'px';
+    positioned.style.top = top + 'px';
+}
 
-        if (element.classList.contains('resizable')) {
-            element = element.parentNode; // UI compatiblity
-        }
+/**
+ * Set the left and top offset of an element.
+ * Elements moved with a CSS transform keep their left and top until the transform is committed.
+ * 
+ * @param {HTMLelement} positioned 
+ * @param {Number} left - px
+ * @param {Number} top - px
+ */
+function setElementOffset(positioned, left, top) {
+    let id = getInteractiveElement(positioned).id;
+    if (outlineStorage[id] !== undefined) {
+        outlineStorage[id].left = left;
+        outlineStorage[id].top = top;
+        updateOutline(outlineStorage[id]);
+        return;
     }
 
-    minStorage.push(template);
+    let offset = transformStorage[id];
+    if (offset === undefined) {
+        setCssOffset(positioned, left, top);
+        return;
+    }
 
-    return element;
+    offset.left = left;
+    offset.top = top;
+    positioned.style.transform = 'translate(' + (left - offset.startLeft) + 'px, ' + (top - offset.startTop) + 'px)';
 }
 
 /**
- * Delete duplicated items inside minStorage caused by event bubbling
+ * Move an element with a CSS transform until commitTransform() is called
  * 
- * @returns {boolean} True if there was a duplicated items else False
+ * @param {HTMLelement} positioned 
  */
-let count;
-function deleteDuplicatedItemsMinStorage() {
-    count = minStorage.length - 1;
-    if (count > 0) {
-        if (minStorage[count - 1].id == minStorage[count].id) {
-            minStorage.pop();
-            return true;
-        }
-    }
-    return false;
+function startTransform(positioned) {
+    transformStorage[getInteractiveElement(positioned).id] = {
+        startLeft: positioned.offsetLeft,
+        startTop: positioned.offsetTop,
+        left: positioned.offsetLeft,
+        top: positioned.offsetTop,
+        transform: positioned.style.transform
+    };
 }
 
 /**
- * Get the number of items needed to fit an element according to the item and element width
+ * Replace the CSS transform of an element with its left and top offset
  * 
- * @param {HTMLElement} item 
- * @param {HTMLElement} element 
- * @returns Integer - Number of items
+ * @param {HTMLelement} positioned 
  */
-let elementWidth;
-function getItemCountToFitElementByWidth(item, element) {
-    
-    if (item != null) {
-        let minAreaWidth = element.clientWidth;
+function commitTransform(positioned) {
+    let id = getInteractiveElement(positioned).id;
+    let offset = transformStorage[id];
+    if (offset === undefined) { return; }
+
+    delete transformStorage[id];
+    positioned.style.transform = offset.transform;
+    setCssOffset(positioned, offset.left, offset.top);
+}
 
-        let style = window.getComputedStyle(item);
-        let width = parseInt(style.getPropertyValue('width').slice(0, -2));
-        let marginLeft = parseInt(style.getPropertyValue('margin-left').slice(0, -2));
-        let marginRight = parseInt(style.getPropertyValue('margin-right').slice(0, -2));
-        elementWidth = width + marginLeft + marginRight;
+// OUTLINE MODE -----------------------------------------------------------
 
-        return Math.floor(minAreaWidth / elementWidth);
+/**
+ * Offset, size and outline of the elements dragged or resized with an outline
+ */
+let outlineStorage = {};
+
+/**
+ * Get the outer width and height of an element, also while it's resized with an outline
+ * 
+ * @param {HTMLelement} positioned 
+ * @returns {Object} {width, height} in px
+ */
+function getElementSize(positioned) {
+    let outline = outlineStorage[getInteractiveElement(positioned).id];
+    if (outline !== undefined) {
+        return { width: outline.width, height: outline.height };
     }
-    
-    return undefined;
+    return { width: positioned.offsetWidth, height: positioned.offsetHeight };
 }
 
 /**
- * Create the horizontal minimized representation for a element
+ * Show an outline over an element. Drag and resize move the outline instead of the element
+ * until the outline is committed or discarded.
  * 
- * @param {String} id
- * @param {String} title 
- * @returns Minimized representation element
+ * @param {HTMLelement} positioned 
  */
-function createMinimizedElementRep(id, title) {
-    let element = createElementWithIdAndClassName('span', id, 'minimizedItem');
-    let p = createElementWithClassName('p', 'minimizedTitle');
-    p.textContent = title;
-    p.setAttribute('onselectstart', 'return false;');
+function startOutline(positioned) {
+    let outline = {
+        element: createElementWithClassName('div', 'gestureOutline'),
+        left: positioned.offsetLeft,
+        top: positioned.offsetTop,
+        width: positioned.offsetWidth,
+        height: positioned.offsetHeight
+    };
+    positioned.parentNode.insertBefore(outline.element, positioned.nextSibling);
+    updateOutline(outline);
 
-    element.appendChild(p);
+    outlineStorage[getInteractiveElement(positioned).id] = outline;
+}
 
-    return element;
+/**
+ * Place the outline element on the outline offset and size
+ * 
+ * @param {Object} outline - see startOutline()
+ */
+function updateOutline(outline) {
+    outline.element.style.left = outline.left + 'px';
+    outline.element.style.top = outline.top + 'px';
+    outline.element.style.width = outline.width + 'px';
+    outline.element.style.height = outline.height + 'px';
 }
 
 /**
- * User Interface adjustments for minimizable elements
+ * Remove the outline of an element
  * 
- * @param {HTMLelement} element 
+ * @param {HTMLelement} positioned 
+ * @returns {Object|undefined} the removed outline, see startOutline()
  */
-let dropdown, numItems;
-function minimizeUI(element) {
-    
-    let minimizeArea = document.getElementById('minimizeZone');
+function discardOutline(positioned) {
+    let id = getInteractiveElement(positioned).id;
+    let outline = outlineStorage[id];
+    if (outline === undefined) { return undefined; }
+
+    delete outlineStorage[id];
+    outline.element.parentNode.removeChild(outline.element);
+    return outline;
+}
 
-    if (dropdown === undefined) {
-        
-        // No. of minimized elements that fit on the minimizeArea
-        numItems = getItemCountToFitElementByWidth(minimizeArea.firstElementChild, minimizeArea);
-        
-        if (minStorage.length > numItems) {
-            // Deal with minimizeArea overflow
-            horizontalRepToDropdownList(numItems, minimizeArea);
-            dropdown = true;
-        }
-        else {
-            // Create the HTML representation of a minimized element
-            let minRep = createMinimizedElementRep('' + count, minStorage[count].title);
-            minimizeArea.appendChild(minRep);
-            // Add maximize function to representation
-            minRep.onclick = maximize;
-        }
-    }
-    else if (dropdown === true) {
+/**
+ * Move and resize an element to its outline and remove the outline
+ * 
+ * @param {HTMLelement} positioned 
+ */
+function commitOutline(positioned) {
+    let outline = discardOutline(positioned);
+    if (outline === undefined) { return; }
 
-        // Add minimized item to the dropdown
-        let ddList = document.getElementById('dropdownList');
-        addDropdownItem('' + count, minStorage[count].title, ddList);
+    let element = getInteractiveElement(positioned);
+    setElementOffset(positioned, outline.left, outline.top);
+    if (element.classList.contains('resizable')) {
+        let insets = getResizePointInsets(element);
+        setResizableSize(element, outline.width - insets.width, outline.height - insets.height);
     }
-
-    // Hide original element
-    element.style.display = 'none';
 }
 
-/** 
- * Maximize element 
+// GRID SNAPPING ----------------------------------------------------------
+
+/**
+ * Get the grid an action snaps to
+ * 
+ * @param {Object} action 
+ * @param {PointerEvent} event - pointermove event
+ * @returns {Object|undefined} config.grid or undefined if there's no grid or the grid modifier key is held
  */
-function maximize() {
+function getActiveGrid(action, event) {
+    let config = getConfig(action.element);
+    if (config.grid === undefined) { return undefined; }
+    if (config.gridModifier !== undefined && event.getModifierState(config.gridModifier)) { return undefined; }
+    return config.grid;
+}
 
-    // Delete representation
-    this.parentNode.removeChild(this);
+/**
+ * Show the grid behind the element while a gesture is in progress
+ * 
+ * @param {Object} action 
+ * @returns {HTMLelement} grid overlay
+ */
+function addGridOverlay(action) {
+    let grid = getConfig(action.element).grid;
+    let positioned = getPositionedElement(action.element);
+    let limit = getContainmentLimits(positioned);
+
+    let overlay = createElementWithClassName('div', 'gridOverlay');
+    overlay.style.left = limit.left + 'px';
+    overlay.style.top = limit.top + 'px';
+    overlay.style.width = (limit.right - limit.left) + 'px';
+    overlay.style.height = (limit.bottom - limit.top) + 'px';
+    overlay.style.backgroundSize = grid.x + 'px ' + grid.y + 'px';
+    // Align the grid lines with the offset origin the element snaps to
+    overlay.style.backgroundPosition = -limit.left + 'px ' + -limit.top + 'px';
+    positioned.parentNode.insertBefore(overlay, positioned);
+
+    return overlay;
+}
+
+// MAGNETIC SNAPPING ------------------------------------------------------
+
+/**
+ * Get the edges an element can snap to: the edges of the other
+ * interactive elements and of its containment.
+ * 
+ * @param {HTMLelement} positioned 
+ * @returns {Object} {x: [left and right edges], y: [top and bottom edges]} in px
+ */
+function getMagnetEdges(positioned) {
+    let limit = getContainmentLimits(positioned);
+    let edges = {
+        x: [limit.left, limit.right],
+        y: [limit.top, limit.bottom]
+    };
+
+    // The other elements can have another offset parent
+    let origin = getOffsetOrigin(positioned);
+    let all = document.getElementsByClassName('interactive');
+    for (let i = 0, len = all.length; i < len; i++) {
+        let other = getPositionedElement(all[i]);
+        if (other === positioned) { continue; }
+
+        let rect = other.getBoundingClientRect();
+        if (rect.width == 0 && rect.height == 0) { continue; } // Minimized
+        edges.x.push(rect.left - origin.left, rect.right - origin.left);
+        edges.y.push(rect.top - origin.top, rect.bottom - origin.top);
+    }
+
+    return edges;
+}
+
+/**
+ * Get the edges of the moving element for a target measure, see getActionMeasures()
+ * 
+ * @param {String} action - 'drag' or 'resize'
+ * @param {Integer} zone - resize zone code
+ * @param {Number} measure - target measure
+ * @param {Number} offset - actual left or top offset
+ * @param {Number} size - actual width or height
+ * @param {Boolean} symmetric - symmetric resizes measure the right and bottom edges themselves
+ * @returns {Array} edges in px
+ */
+function getMovingEdges(action, zone, measure, offset, size, symmetric) {
+    if (action == 'drag') {
+        return [measure, measure + size];
+    }
+    if (zone == 0 || zone == 2 || (symmetric && zone !== undefined)) {
+        return [measure];
+    }
+    if (zone == 1 || zone == 3) {
+        return [offset + measure];
+    }
+    return [];
+}
+
+/**
+ * Find the closest pair of edges within the threshold
+ * 
+ * @param {Array} movingEdges 
+ * @param {Array} edges 
+ * @param {Number} threshold 
+ * @returns {Object|undefined} {edge, distance} the edge to align with and the distance to it
+ */
+function getClosestMagnetEdge(movingEdges, edges, threshold) {
+    let closest;
+    for (let i = 0, len = movingEdges.length; i < len; i++) {
+        for (let j = 0, len2 = edges.length; j < len2; j++) {
+            let distance = edges[j] - movingEdges[i];
+            if (Math.abs(distance) <= threshold && (closest === undefined || Math.abs(distance) < Math.abs(closest.distance))) {
+                closest = { edge: edges[j], distance: distance };
+            }
+        }
+    }
+    return closest;
+}
+
+/**
+ * Move the target measures of a gesture so the element edges snap to the magnet edges nearby.
+ * Shows a guide line on the aligned edges.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {Object} target - target measures, see getGestureMouseDrag()
+ */
+function snapToMagnetEdges(gesture, target) {
+    let action = gesture.action;
+    let positioned = getPositionedElement(action.element);
+    let threshold = getConfig(action.element).magnetSnap;
+    let zone = action.action == 'resize' ? getResizePointZone(action.param[2]) : [];
+
+    let offset = getElementOffset(positioned);
+    let size = getElementSize(positioned);
+    let movingX = getMovingEdges(action.action, zone[0], target.x, offset.left, size.width, action.symmetric);
+    let closestX = getClosestMagnetEdge(movingX, gesture.magnetEdges.x, threshold);
+    if (closestX !== undefined) {
+        target.x += closestX.distance;
+    }
+    updateMagnetGuide(gesture, 'x', closestX);
+
+    let movingY = getMovingEdges(action.action, zone[1], target.y, offset.top, size.height, action.symmetric);
+    let closestY = getClosestMagnetEdge(movingY, gesture.magnetEdges.y, threshold);
+    if (closestY !== undefined) {
+        target.y += closestY.distance;
+    }
+    updateMagnetGuide(gesture, 'y', closestY);
+}
+
+/**
+ * Show a guide line across the containment on an aligned edge
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {String} axis - 'x' for a vertical line, 'y' for a horizontal line
+ * @param {Object|undefined} closest - aligned edge, see getClosestMagnetEdge()
+ */
+function updateMagnetGuide(gesture, axis, closest) {
+    let guide = gesture.magnetGuides[axis];
+
+    if (closest === undefined) {
+        if (guide !== undefined) {
+            guide.parentNode.removeChild(guide);
+            delete gesture.magnetGuides[axis];
+        }
+        return;
+    }
+
+    let positioned = getPositionedElement(gesture.action.element);
+    if (guide === undefined) {
+        guide = createElementWithClassName('div', 'magnetGuide');
+        positioned.parentNode.insertBefore(guide, positioned);
+        gesture.magnetGuides[axis] = guide;
+    }
+
+    let limit = getContainmentLimits(positioned);
+    if (axis == 'x') {
+        guide.style.left = closest.edge + 'px';
+        guide.style.top = limit.top + 'px';
+        guide.style.width = '1px';
+        guide.style.height = (limit.bottom - limit.top) + 'px';
+    }
+    else {
+        guide.style.left = limit.left + 'px';
+        guide.style.top = closest.edge + 'px';
+        guide.style.width = (limit.right - limit.left) + 'px';
+        guide.style.height = '1px';
+    }
+}
+
+// EDGE SNAPPING ----------------------------------------------------------
+
+/**
+ * Size of the elements before they were snapped to an edge
+ */
+let snapStorage = {};
+
+/**
+ * Distance in px from the containment edges where the pointer snaps a dragged element
+ */
+let edgeSnapThreshold = 10;
+
+/**
+ * Pointer movement in px before dragging a snapped element restores its size
+ */
+let snapRestoreThreshold = 5;
+
+/**
+ * Get the containment edge or corner the pointer is dragging an element to.
+ * Zones are named after the resize points: left, right, top, upperLeft, upperRight, lowerLeft, lowerRight.
+ * 
+ * @param {Object} action - drag action
+ * @param {PointerEvent} event - pointermove event
+ * @returns {String|undefined} snap zone, undefined if the pointer is away from the edges
+ */
+function getEdgeSnapZone(action, event) {
+    let positioned = action.param[0];
+    let limit = getContainmentLimits(positioned, 'viewport');
+    let origin = getOffsetOrigin(positioned);
+    let x = event.clientX - origin.left;
+    let y = event.clientY - origin.top;
+
+    let horizontal;
+    if (x - limit.left <= edgeSnapThreshold) { horizontal = 'Left'; }
+    else if (limit.right - x <= edgeSnapThreshold) { horizontal = 'Right'; }
+
+    let vertical;
+    if (y - limit.top <= edgeSnapThreshold) { vertical = 'upper'; }
+    else if (limit.bottom - y <= edgeSnapThreshold) { vertical = 'lower'; }
+
+    if (horizontal === undefined) {
+        return vertical == 'upper' ? 'top' : undefined;
+    }
+    if (vertical === undefined) {
+        return horizontal.toLowerCase();
+    }
+    return vertical + horizontal;
+}
+
+/**
+ * Get the offset and measures an element takes when it's snapped to a zone
+ * 
+ * @param {HTMLelement} positioned 
+ * @param {String} zone - see getEdgeSnapZone()
+ * @returns {Object} {left, top, width, height} in px
+ */
+function getEdgeSnapMeasures(positioned, zone) {
+    let limit = getContainmentLimits(positioned, 'viewport');
+    let measures = {
+        left: limit.left,
+        top: limit.top,
+        width: limit.right - limit.left,
+        height: limit.bottom - limit.top
+    };
+
+    // Halves
+    if (zone != 'top') {
+        measures.width = Math.floor(measures.width / 2);
+        if (/right/i.test(zone)) {
+            measures.left = limit.right - measures.width;
+        }
+    }
+    // Quarters
+    if (/^(upper|lower)/.test(zone)) {
+        measures.height = Math.floor(measures.height / 2);
+        if (/^lower/.test(zone)) {
+            measures.top = limit.bottom - measures.height;
+        }
+    }
+
+    return measures;
+}
+
+/**
+ * Show where the element will be snapped when the pointer is released
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ */
+function updateEdgeSnapPreview(gesture) {
+    let positioned = gesture.action.param[0];
+
+    if (gesture.snapZone === undefined) {
+        if (gesture.snapPreview !== undefined) {
+            gesture.snapPreview.parentNode.removeChild(gesture.snapPreview);
+            gesture.snapPreview = undefined;
+        }
+        return;
+    }
+
+    if (gesture.snapPreview === undefined) {
+        gesture.snapPreview = createElementWithClassName('div', 'snapPreview');
+        positioned.parentNode.insertBefore(gesture.snapPreview, positioned);
+    }
+    let measures = getEdgeSnapMeasures(positioned, gesture.snapZone);
+    gesture.snapPreview.style.left = measures.left + 'px';
+    gesture.snapPreview.style.top = measures.top + 'px';
+    gesture.snapPreview.style.width = measures.width + 'px';
+    gesture.snapPreview.style.height = measures.height + 'px';
+}
+
+/**
+ * Snap an element to a containment edge or corner.
+ * The top edge maximizes the element.
+ * 
+ * @param {HTMLelement} element 
+ * @param {String} zone - see getEdgeSnapZone()
+ */
+function snapElement(element, zone) {
+    if (zone == 'top') {
+        if (maxStorage[element.id] === undefined) {
+            toggleFullScreen(element);
+        }
+        return;
+    }
+
+    let positioned = getPositionedElement(element);
+    let measures = getEdgeSnapMeasures(positioned, zone);
+
+    // Store element size info
+    snapStorage[element.id] = {
+        actualSize: {
+            width: element.style.width,
+            height: element.style.height,
+            gridCol: positioned.style.gridTemplateColumns,
+            gridRow: positioned.style.gridTemplateRows
+        }
+    };
+
+    let sizeLimits = getSizeLimits(element);
+    setCssOffset(positioned, measures.left, measures.top);
+    if (element.classList.contains('resizable')) {
+        let insets = getResizePointInsets(element);
+        let width = clampSize(measures.width - insets.width, sizeLimits.minWidth, sizeLimits.maxWidth);
+        let height = clampSize(measures.height - insets.height, sizeLimits.minHeight, sizeLimits.maxHeight);
+        setResizableSize(element, width, height);
+    }
+    else {
+        element.style.width = clampSize(measures.width, sizeLimits.minWidth, sizeLimits.maxWidth) + 'px';
+        element.style.height = clampSize(measures.height, sizeLimits.minHeight, sizeLimits.maxHeight) + 'px';
+    }
+}
+
+/**
+ * Check if a drag takes a snapped element away.
+ * Maximized elements count as snapped with config.edgeSnap.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event - pointermove event
+ * @returns {Boolean}
+ */
+function isSnappedElementDraggedAway(gesture, event) {
+    let element = gesture.action.element;
+    let snapped = snapStorage[element.id] !== undefined ||
+        (getConfig(element).edgeSnap && maxStorage[element.id] !== undefined);
+    if (!snapped) { return false; }
+
+    let moveX = Math.abs(event.clientX - gesture.startX);
+    let moveY = Math.abs(event.clientY - gesture.startY);
+    return Math.max(moveX, moveY) >= snapRestoreThreshold;
+}
+
+/**
+ * Bring a snapped or maximized element back to its previous size when it's dragged away.
+ * The title bar point the pointer grabbed keeps its relative position.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ */
+function restoreSnappedElement(gesture) {
+    let element = gesture.action.element;
+    let positioned = gesture.action.param[0];
+    let previousWidth = getElementSize(positioned).width;
+
+    if (maxStorage[element.id] !== undefined) {
+        // The drag places the element, keep the offset a transform or an outline started from
+        let left = positioned.style.left;
+        let top = positioned.style.top;
+        toggleFullScreen(element);
+        if (maxStorage[element.id] !== undefined) { return; } // Unmaximize cancelled
+        positioned.style.left = left;
+        positioned.style.top = top;
+    }
+    else {
+        let size = snapStorage[element.id].actualSize;
+        element.style.width = size.width;
+        element.style.height = size.height;
+        positioned.style.gridTemplateColumns = size.gridCol;
+        positioned.style.gridTemplateRows = size.gridRow;
+        delete snapStorage[element.id];
+    }
+
+    let outline = outlineStorage[element.id];
+    if (outline !== undefined) {
+        outline.width = positioned.offsetWidth;
+        outline.height = positioned.offsetHeight;
+        updateOutline(outline);
+    }
+
+    // Move the gesture start so the pointer keeps holding the same part of the title bar
+    let pointerX = gesture.startX - getOffsetOrigin(positioned).left;
+    gesture.measures.x = pointerX - (pointerX - gesture.measures.x) * positioned.offsetWidth / previousWidth;
+}
+
+// INERTIA ----------------------------------------------------------------
+
+/**
+ * Animation frames of the elements gliding after a drag
+ */
+let inertiaStorage = {};
+
+/**
+ * Part of the velocity a gliding element keeps every 1000/60 ms
+ */
+let inertiaFriction = 0.95;
+
+/**
+ * Velocity in px/ms under which a gliding element stops
+ */
+let inertiaMinVelocity = 0.02;
+
+/**
+ * Keep the pointer positions of the last 100 ms of a drag gesture
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event - pointermove event
+ */
+function trackPointerVelocity(gesture, event) {
+    gesture.samples.push({ x: event.clientX, y: event.clientY, time: event.timeStamp });
+    while (gesture.samples.length > 2 && event.timeStamp - gesture.samples[0].time > 100) {
+        gesture.samples.shift();
+    }
+}
+
+/**
+ * Get the pointer velocity when a drag gesture is released.
+ * A pointer that stood still before the release has no velocity.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event - pointerup event
+ * @returns {Object} {x, y} velocity in px/ms
+ */
+function getPointerVelocity(gesture, event) {
+    let samples = gesture.samples;
+    if (samples.length < 2) { return { x: 0, y: 0 }; }
+
+    let first = samples[0];
+    let last = samples[samples.length - 1];
+    let time = last.time - first.time;
+    if (time <= 0 || event.timeStamp - last.time > 100) { return { x: 0, y: 0 }; }
+
+    return { x: (last.x - first.x) / time, y: (last.y - first.y) / time };
+}
+
+/**
+ * Keep a released element gliding with friction.
+ * The element stops at the containment edges, or bounces back with config.inertiaBounce.
+ * Fires a drag event every frame and the dragend event when the element stops.
+ * 
+ * @param {Object} action - drag action
+ * @param {Object} velocity - {x, y} in px/ms
+ * @param {String} axis - axis the drag was locked to, see getDragAxis()
+ * @returns {Boolean} False if the velocity is too low to glide
+ */
+function startInertia(action, velocity, axis) {
+    if (axis == 'x') { velocity.y = 0; }
+    if (axis == 'y') { velocity.x = 0; }
+    if (Math.abs(velocity.x) < inertiaMinVelocity && Math.abs(velocity.y) < inertiaMinVelocity) { return false; }
+
+    let element = action.element;
+    let positioned = action.param[0];
+    let bounce = getConfig(element).inertiaBounce;
+    // Keep the subpixel position, offsets are rounded
+    let position = { x: positioned.offsetLeft, y: positioned.offsetTop };
+    let time;
+
+    let glide = function(now) {
+        let elapsed = time === undefined ? 1000 / 60 : now - time;
+        time = now;
+
+        let target = {
+            x: position.x + velocity.x * elapsed,
+            y: position.y + velocity.y * elapsed
+        };
+        position = getDragNewPosition(positioned, { x: positioned.offsetLeft - target.x, y: positioned.offsetTop - target.y }, axis);
+        setCssOffset(positioned, position.x, position.y);
+
+        // Containment edge reached
+        if (Math.abs(position.x - target.x) > 0.5) {
+            velocity.x = bounce ? -velocity.x / 2 : 0;
+        }
+        if (Math.abs(position.y - target.y) > 0.5) {
+            velocity.y = bounce ? -velocity.y / 2 : 0;
+        }
+
+        let friction = Math.pow(inertiaFriction, elapsed / (1000 / 60));
+        velocity.x *= friction;
+        velocity.y *= friction;
+
+        fireInteractiveEvent(element, 'drag');
+
+        if (Math.abs(velocity.x) < inertiaMinVelocity && Math.abs(velocity.y) < inertiaMinVelocity) {
+            delete inertiaStorage[element.id];
+            fireInteractiveEvent(element, 'dragend');
+        }
+        else {
+            inertiaStorage[element.id] = requestAnimationFrame(glide);
+        }
+    };
+    inertiaStorage[element.id] = requestAnimationFrame(glide);
+
+    return true;
+}
+
+/**
+ * Stop a gliding element
+ * 
+ * @param {HTMLelement} element 
+ */
+function stopInertia(element) {
+    if (inertiaStorage[element.id] === undefined) { return; }
+
+    cancelAnimationFrame(inertiaStorage[element.id]);
+    delete inertiaStorage[element.id];
+    fireInteractiveEvent(element, 'dragend');
+}
+
+// DROP ZONES -------------------------------------------------------------
+
+/**
+ * Keep track of the drop zones and their config
+ */
+let dropZoneStorage = [];
+
+/**
+ * Make elements drop zones for interactive elements.
+ * Fires the interactive:dragenter, interactive:dragleave and interactive:drop events on the drop zone.
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target - Id, CSS selector, element or list of elements
+ * @param {Object} config
+ * @param {String|Function} config.accept - CSS selector or function(element) that accepts the interactive elements dropped. Default: all
+ * @param {Boolean} config.reparent - Move the dropped elements into the drop zone
+ * @param {Object} config.on - Event callbacks, e.g. on.drop
+ * @returns {Object|Array} Handle to remove the drop zone.
+ *                         One handle per element (Array) for CSS selectors, NodeLists and arrays.
+ */
+function dropZone(target, config) {
+
+    let elements = getElements(target);
+    let handles = [];
+    for (let i = 0, len = elements.length; i < len; i++) {
+        let zone = elements[i];
+        if (getDropZoneIndex(zone) === -1) {
+            dropZoneStorage.push({ element: zone, config: config === undefined ? {} : config });
+        }
+        handles.push({
+            element: zone,
+            destroy: function() { destroyDropZone(zone); }
+        });
+    }
+
+    return isSingleElementTarget(target) ? handles[0] : handles;
+}
+
+/**
+ * Get the position of a drop zone in dropZoneStorage
+ * 
+ * @param {HTMLelement} zone 
+ * @returns {Integer} index, -1 if the element isn't a drop zone
+ */
+function getDropZoneIndex(zone) {
+    for (let i = 0, len = dropZoneStorage.length; i < len; i++) {
+        if (dropZoneStorage[i].element === zone) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Get the config of a drop zone
+ * 
+ * @param {HTMLelement} zone 
+ * @returns {Object} config, empty for elements that are not drop zones
+ */
+function getDropZoneConfig(zone) {
+    let index = getDropZoneIndex(zone);
+    return index === -1 ? {} : dropZoneStorage[index].config;
+}
+
+/**
+ * Stop using an element as a drop zone
+ * 
+ * @param {HTMLelement} zone 
+ */
+function destroyDropZone(zone) {
+    let index = getDropZoneIndex(zone);
+    if (index !== -1) {
+        dropZoneStorage.splice(index, 1);
+    }
+}
+
+/**
+ * Get the drop zones that accept an interactive element
+ * 
+ * @param {HTMLelement} element - interactive element
+ * @returns {Array} drop zones
+ */
+function getAcceptingDropZones(element) {
+    let positioned = getPositionedElement(element);
+    let zones = [];
+    for (let i = 0, len = dropZoneStorage.length; i < len; i++) {
+        let zone = dropZoneStorage[i].element;
+        let accept = dropZoneStorage[i].config.accept;
+
+        // Elements can't be dropped inside themselves
+        if (!zone.isConnected || positioned.contains(zone)) { continue; }
+
+        if (accept === undefined ||
+            typeof accept === 'string' && element.matches(accept) ||
+            typeof accept === 'function' && accept(element)) {
+            zones.push(zone);
+        }
+    }
+    return zones;
+}
+
+/**
+ * Highlight the drop zones an element can be dropped in
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ */
+function addDropTargets(gesture) {
+    gesture.dropZones = getAcceptingDropZones(gesture.action.element);
+    for (let i = 0, len = gesture.dropZones.length; i < len; i++) {
+        gesture.dropZones[i].classList.add('dropTarget');
+    }
+}
+
+/**
+ * Remove the drop zone highlights of a gesture
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ */
+function removeDropTargets(gesture) {
+    for (let i = 0, len = gesture.dropZones.length; i < len; i++) {
+        gesture.dropZones[i].classList.remove('dropTarget', 'dropOver');
+    }
+}
+
+/**
+ * Find the drop zone under the pointer and fire dragenter and dragleave when it changes.
+ * The last registered drop zone wins when they overlap.
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ * @param {PointerEvent} event - pointermove event
+ */
+function updateDropZone(gesture, event) {
+    let over;
+    for (let i = gesture.dropZones.length - 1; i >= 0; i--) {
+        let rect = gesture.dropZones[i].getBoundingClientRect();
+        if (event.clientX >= rect.left && event.clientX < rect.right && event.clientY >= rect.top && event.clientY < rect.bottom) {
+            over = gesture.dropZones[i];
+            break;
+        }
+    }
+
+    if (over === gesture.dropZone) { return; }
+
+    if (gesture.dropZone !== undefined) {
+        gesture.dropZone.classList.remove('dropOver');
+        fireDropZoneEvent(gesture.dropZone, 'dragleave', gesture.action.element);
+    }
+    gesture.dropZone = over;
+    if (over !== undefined) {
+        over.classList.add('dropOver');
+        fireDropZoneEvent(over, 'dragenter', gesture.action.element);
+    }
+}
+
+/**
+ * Drop an element in a drop zone.
+ * Reparents the element with config.reparent unless the drop event is cancelled.
+ * The element keeps its place on the screen.
+ * 
+ * @param {HTMLelement} zone 
+ * @param {HTMLelement} element - interactive element
+ */
+function dropElement(zone, element) {
+    if (!fireDropZoneEvent(zone, 'drop', element)) { return; }
+    if (!getDropZoneConfig(zone).reparent) { return; }
+
+    let positioned = getPositionedElement(element);
+    let rect = positioned.getBoundingClientRect();
+    zone.appendChild(positioned);
+
+    let origin = getOffsetOrigin(positioned);
+    setCssOffset(positioned, rect.left - origin.left, rect.top - origin.top);
+}
+
+/**
+ * Notify a drop zone interaction to the host app.
+ * Dispatches the 'interactive:<name>' CustomEvent on the drop zone and calls config.on[name].
+ * The drop event can be cancelled to keep the element where it is.
+ * 
+ * @param {HTMLelement} zone 
+ * @param {String} name - dragenter, dragleave or drop
+ * @param {HTMLelement} element - interactive element dragged
+ * @returns {Boolean} False if the event was cancelled
+ */
+function fireDropZoneEvent(zone, name, element) {
+
+    let event = new CustomEvent('interactive:' + name, {
+        bubbles: true,
+        cancelable: name == 'drop',
+        detail: { element: element, dropZone: zone }
+    });
+    zone.dispatchEvent(event);
+
+    let config = getDropZoneConfig(zone);
+    if (config.on !== undefined && typeof config.on[name] === 'function') {
+        if (config.on[name].call(zone, event) === false) {
+            event.preventDefault();
+        }
+    }
+
+    return !event.defaultPrevented;
+}
+
+// MIN MAX CLOSE FUNCTIONALITY --------------------------------------------
+
+/**
+ * Add Close functionality to an element
+ * 
+ * @param {HTMLelement} element 
+ * @param {Boolean} icon 
+ */
+function close(element) {
+    // Add close button
+    let svgPath = [ { name: 'close', path: 'M45.1,41.6l-3.3,3.3L5.1,8.2l3.3-3.3L45.1,41.6z M8.4,45.1l-3.3-3.3L41.8,5.1l3.3,3.3L8.4,45.1z'} ];
+    addFunctionButton(element, svgPath);
+
+    // Add close functionality
+    addCloseFunctionality(element);
+}
+
+/**
+ * Add the close functionality to the close icon
+ * 
+ * @param {HTMLElement} element 
+ */
+function addCloseFunctionality(element) {
+
+    let closeBtn = getButton(element, 'closeBtn');
+    closeBtn.onclick = function() {
+        closeElement(element);
+    };
+}
+
+/**
+ * Remove an element from the document
+ * 
+ * @param {HTMLElement} element 
+ */
+function closeElement(element) {
+    if (!element.isConnected) { return; } // Already closed
+    if (!fireInteractiveEvent(element, 'beforeclose')) { return; }
+    // Fire dragend or resizeend before close
+    stopGesture(element);
+    stopInertia(element);
+
+    // Dispatched while the element is in the document, so the event bubbles up to it
+    let state = getInteractiveElementState(element);
+    state.closed = true;
+    fireInteractiveEvent(element, 'close', state);
+    if (!element.isConnected) { return; } // Removed by a close listener
+
+    // Ensure compatilibily with resizable elements
+    let parent = element.parentNode;
+    if (hasResizeParent(element)) {
+        parent.parentNode.removeChild(parent);
+    }
+    else {
+        parent.removeChild(element);
+    }
+}
+
+/**
+ * Add minimize and mazimize functionality to an element
+ * 
+ * @param {HTMLelement} element 
+ * @param {Boolean} icons 
+ * @param {Boolean} dblClick 
+ */
+function minMax(element, minZone, icons, dblClick){
+
+    // Add minimize and maximize buttons
+    if (icons !== false) {
+        let svgPath = [ { name: 'max', path: 'M27.3,45h-4.7V5h4.7V45z M5,27.3v-4.6H45v4.6H5z'},
+                        { name: 'min', path: 'M5,27.3v-4.6H45v4.6H5z'} ];
+        addFunctionButton(element, svgPath);
+    }
+    // Add minimize functionality
+    addMinimizeFunction(element, minZone, icons, dblClick);
+    // Maximize function (screen size)
+    addFullScreenMaximizeFunction(element);
+}
+
+/**
+ * Add the buttons and icons for a minMax or close function to work
+ * 
+ * @param {HTMLelement} element 
+ * @param {Array} svgPath 
+ */
+function addFunctionButton(element, svgPath) {
+
+    // Ensure compatibility with draggable elements
+    let className = 'path';
+    if (element.classList.contains('draggable')) {
+        element = element.firstElementChild;
+        className = 'dragPath';
+    }
+
+    let container = createButtonsContainer(element);
+
+    for (let i = 0, len = svgPath.length; i < len; i++) {
+
+        let div = createElementWithClassName('button', svgPath[i].name + 'Btn mmcBtn');
+        let svg = createSvgShape({
+            svg: [{ attr: 'class', value: 'svgIcon'}, { attr: 'viewBox', value: '0 0 50 50'}],
+            shape: [{
+                shape: 'path',
+                attrList: [
+                    { attr: 'd', value: svgPath[i].path },
+                    { attr: 'class', value: className}
+                ]
+            }]
+        });
+
+        div.appendChild(svg);
+        container.appendChild(div);
+    }
+
+    // Ensure buttons are the first element child
+    let firstElement = element.firstChild;
+    if (firstElement != null) {
+        element.insertBefore(container, firstElement);
+    }
+    else {
+        element.appendChild(container);
+    }
+}
+
+/**
+ * Create min, max and close buttons contianer
+ * 
+ * @returns {HTMLelement} container
+ */
+function createButtonsContainer(element) {
+    
+    let container = element.firstElementChild;
+    
+    if (container === null || container.className !== 'btnContainer') {
+        container = createElementWithClassName('div', 'btnContainer');
+    }
+
+    return container;
+}
+
+/**
+ * Add minimize functionality on double click and/or click to an element.
+ * 
+ * @param {HTMLElement} element 
+ * @param {HTMLelement} minZone
+ * @param {boolean} icons
+ * @param {boolean} doubleClick
+ */
+function addMinimizeFunction(element, minZone, icons, doubleClick) {
+
+    // Add minimize area
+    addMinimizeArea(minZone);
+
+    // Minimize on double click
+    if (doubleClick !== false) {
+        // Invalidate dblclick on draggable elements, use instead dblclick on element header to minimize. 
+        if (element.classList.contains('draggable')) {
+            element = element.firstElementChild;
+        }
+        element.addEventListener('dblclick', minimize);
+    }
+    // Minimize on minimize icon click
+    if (icons !== false) {
+        let minBtn = getButton(element, 'minBtn');
+        minBtn.onclick = minimize;
+    }
+}
+
+/**
+ * Adds to an specific element, the zone where the minimized elements will live.
+ * The minimize zone will be appended to the body by default.
+ * 
+ * @param {HTMLelement} minZone
+ */
+function addMinimizeArea(minZone) {
+    if (document.getElementById('minimizeZone') == null) {
+
+        let minArea = document.createElement('div');
+        minArea.id = 'minimizeZone';
+
+        if (minZone == undefined) {
+            document.body.append(minArea);
+        }
+        else {
+            minZone.append(minArea);
+        }
+    }
+}
+
+/**
+ * Minimize element
+ * 
+ * @param {Event} event - click on the minimize button or dblclick on the element
+ */
+function minimize(event) {
+    if (event.type == 'dblclick') {
+        minimizeElement(this);
+    }
+    if (event.type == 'click') {
+        minimizeElement(this.parentNode.parentNode);
+    }
+}
+
+/**
+ * Minimize an element, its drag point or the container of its buttons
+ * 
+ * @param {HTMLElement} element 
+ */
+function minimizeElement(element) {
+
+    let interactiveElement = element.closest('.interactive');
+    if (getMinStorageIndex(interactiveElement) !== -1) { return; }
+    if (!fireInteractiveEvent(interactiveElement, 'beforeminimize')) { return; }
+
+    // Store information of the minimized element.
+    element = storeMinimizedElement(element);
+
+    // Avoid errors by duplicated items caused by event bubbling
+    if (deleteDuplicatedItemsMinStorage()) { return; }
+    
+    // UI adjustments
+    minimizeUI(element);
+
+    fireInteractiveEvent(interactiveElement, 'minimize');
+}
+
+/**
+ * Keep track of the minimized items and its information.
+ * Ensure compatibility with resizable and draggable elements,
+ * by returning the element needed for the ui changes.
+ * 
+ * @param {HTMLelement} element
+ * @returns HTML element UI changes
+ */
+let minStorage = [];
+function storeMinimizedElement(element) {
+
+    let template = {
+        id: element.id,
+        title: element.getAttribute('name')
+    };
+
+    // Ensure compatibility
+    if (hasResizeParent(element)) {
+        element = element.parentNode;
+    }
+    if (element.classList.contains('dragPoint')) {
+        element = element.parentNode; // Template compatibility
+        template.id = element.id;
+        template.title = element.getAttribute('name');
+
+        if (hasResizeParent(element)) {
+            element = element.parentNode; // UI compatiblity
+        }
+    }
+
+    // Inline display to put back on restore
+    template.display = element.style.display;
+
+    minStorage.push(template);
+
+    return element;
+}
+
+/**
+ * Delete duplicated items inside minStorage caused by event bubbling
+ * 
+ * @returns {boolean} True if there was a duplicated items else False
+ */
+let count;
+function deleteDuplicatedItemsMinStorage() {
+    count = minStorage.length - 1;
+    if (count > 0) {
+        if (minStorage[count - 1].id == minStorage[count].id) {
+            minStorage.pop();
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Get the number of items needed to fit an element according to the item and element width
+ * 
+ * @param {HTMLElement} item 
+ * @param {HTMLElement} element 
+ * @returns Integer - Number of items
+ */
+let elementWidth;
+function getItemCountToFitElementByWidth(item, element) {
+    
+    if (item != null) {
+        let minAreaWidth = element.clientWidth;
+
+        let style = window.getComputedStyle(item);
+        let width = parseInt(style.getPropertyValue('width').slice(0, -2));
+        let marginLeft = parseInt(style.getPropertyValue('margin-left').slice(0, -2));
+        let marginRight = parseInt(style.getPropertyValue('margin-right').slice(0, -2));
+        elementWidth = width + marginLeft + marginRight;
+
+        return Math.floor(minAreaWidth / elementWidth);
+    }
+    
+    return undefined;
+}
+
+/**
+ * Create the horizontal minimized representation for a element
+ * 
+ * @param {String} id
+ * @param {String} title 
+ * @returns Minimized representation element
+ */
+function createMinimizedElementRep(id, title) {
+    let element = createElementWithIdAndClassName('span', id, 'minimizedItem');
+    let p = createElementWithClassName('p', 'minimizedTitle');
+    p.textContent = title;
+    p.setAttribute('onselectstart', 'return false;');
+
+    element.appendChild(p);
+
+    return element;
+}
+
+/**
+ * User Interface adjustments for minimizable elements
+ * 
+ * @param {HTMLelement} element 
+ */
+let dropdown, numItems;
+function minimizeUI(element) {
+    
+    let minimizeArea = document.getElementById('minimizeZone');
+
+    if (dropdown === undefined) {
+        
+        // No. of minimized elements that fit on the minimizeArea
+        numItems = getItemCountToFitElementByWidth(minimizeArea.firstElementChild, minimizeArea);
+        
+        if (minStorage.length > numItems) {
+            // Deal with minimizeArea overflow
+            horizontalRepToDropdownList(numItems, minimizeArea);
+            dropdown = true;
+        }
+        else {
+            // Create the HTML representation of a minimized element
+            let minRep = createMinimizedElementRep('' + count, minStorage[count].title);
+            minimizeArea.appendChild(minRep);
+            // Add maximize function to representation
+            minRep.onclick = maximize;
+        }
+    }
+    else if (dropdown === true) {
+
+        // Add minimized item to the dropdown
+        let ddList = document.getElementById('dropdownList');
+        addDropdownItem('' + count, minStorage[count].title, ddList);
+    }
+
+    // Hide original element
+    element.style.display = 'none';
+}
+
+/** 
+ * Maximize element 
+ */
+function maximize() {
+
+    let element = document.getElementById(minStorage[parseInt(this.id)].id);
+    if (!fireInteractiveEvent(element, 'beforerestore')) { return; }
+
+    removeMinimizedElementRep(this);
+
+    fireInteractiveEvent(element, 'restore');
+}
+
+/**
+ * Delete the minimized representation of an element and display the element again
+ * 
+ * @param {HTMLelement} rep - minimized representation
+ */
+function removeMinimizedElementRep(rep) {
+
+    let index = parseInt(rep.id);
+    let element = document.getElementById(minStorage[index].id);
+
+    // Delete representation
+    rep.parentNode.removeChild(rep);
+
+    // Display maximized element. Ensure compatibility with resizable and dragabble elements
+    getPositionedElement(element).style.display = minStorage[index].display;
+
+    // Empty index on minimizedStorage
+    minStorage[index] = '';
+
+    // Change from dropdownList to horizontal minimized representations
+    if (dropdown === true) {
+        let ddList = document.getElementById('dropdownList');
+        if (ddList.childElementCount <= numItems) {
+            fromDropdownToHorizontalMinimized(ddList);
+        }
+    }
+
+    // Update minStorage 
+    if (dropdown === undefined) {
+        let minArea = document.getElementById('minimizeZone');
+        if(minArea.childElementCount == 0) { // When there are no more minimized items
+            minStorage.length = 0;
+        }
+        else {
+            // Update min elements
+            let children = minArea.childNodes;
+            for (let i = 0, len = children.length; i < len; i++) {
+                children[i].id = i;
+            }
+            // Update minStorage
+            for (let j = 0, len = minStorage.length; j < len; j++) {
+                if (minStorage[len - 1 - j] == '') {
+                    minStorage.splice(len - 1 - j, 1);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Create a dropdown list to store all the minimized items representations.
+ * 
+ * @param {Integer} count 
+ * @param {HTMLElement} ofArea
+ */
+function horizontalRepToDropdownList(count, ofArea) {
+    
+    //Delete minimized representations
+    deleteMinimizedItems(count, ofArea);
+    // Add dropdown
+    let dropdown = addDropdown(ofArea);
+    // Add dropdown items 
+    addDropdownItems(minStorage, dropdown);
+}
+
+/**
+ * Change the representation of minimized elements from dropdown list to horizontal minimized representations
+ * 
+ * @param {HTMLelement} ddList
+ */
+function fromDropdownToHorizontalMinimized(ddList) {
+    // Delete dropdown lsit and button
+    let btn = ddList.previousSibling;
+    let parent = ddList.parentElement;
+    parent.removeChild(btn);
+    parent.removeChild(ddList);
+
+    dropdown = undefined;
+
+    // Update minStorage
+    let count = 0;
+    for (let i = 0, len = minStorage.length; i < len; i++) {
+        if (minStorage[i] != '') {
+            minStorage[count] = {id:  minStorage[i].id, title: minStorage[i].title};
+            count++;
+        }
+    }
+    minStorage.length = count;
+
+    // Create horizontal representations
+    let minimizeArea = document.getElementById('minimizeZone');
+    for (let j = 0, len = minStorage.length; j < len; j++) {
+        let rep = createMinimizedElementRep('' + j, minStorage[j].title);
+        minimizeArea.appendChild(rep);
+        // Add maximize functionality
+        rep.onclick = maximize;
+    }
+}
+
+/**
+ * Delete # of child items from a parent.
+ * Child items to delete must have as id increasing integers starting from 0
+ * Items will be deleted from ids 0 to the count value
+ * 
+ * @param {count} count 
+ * @param {HTMLElement} parent 
+ */
+function deleteMinimizedItems(count, parent) {
+    for (let i = 0; i < count; i++) {
+        let element = document.getElementById('' + i);
+        parent.removeChild(element);
+    }
+}
+
+/**
+ * Append a dropdown to an element
+ * 
+ * @param {HTMLelement} element
+ * @returns HTMLelement Dropdown list
+ */
+function addDropdown(element) {
+    let btn = createElementWithIdAndClassName('button', 'dropdownBtn', 'dropdownBtn');
+    btn.innerHTML = '&#11205;';
+    btn.setAttribute('onselectstart', 'return false;');
+
+    let list = document.createElement('div');
+    list.id = 'dropdownList';
+
+    element.appendChild(btn);
+    element.appendChild(list);
+
+    btn.onclick = function() {
+        if (list.style.display == 'block') {
+            list.style.display = 'none';
+            btn.innerHTML = '&#11205;';
+        }
+        else {
+            list.style.display = 'block';
+            btn.innerHTML = '&#11206;';
+        }
+    };
+
+    return list;
+}
+
+/**
+ * Add a group of items to a dropdown list
+ * list = [ {id: <id>, title: <string>}, {id: <id>, title: <string>}, {...}, ...];
+ * 
+ * @param {Array} items
+ * @param {HTMLelement} dropdown
+ */
+function addDropdownItems(items, dropdown) {
+    for (let j = 0, len = items.length; j < len; j++){
+        addDropdownItem('' + j, items[j].title, dropdown);
+    }
+}
+
+/**
+ * Add an individual item to a dropdown list
+ * 
+ * @param {String} id 
+ * @param {String} title
+ * @param {HTMLElement} dropdown
+ */
+function addDropdownItem(id, title, dropdown) {
+    let newItem = createElementWithIdAndClassName('div', id, 'dropdownItem');
+    newItem.textContent = title;
+    newItem.setAttribute('onselectstart', 'return false;');
+    dropdown.appendChild(newItem);
+
+    // Add maximize functionality
+    newItem.onclick = maximize;
+}
+
+/**
+ * On maximize icon click maximize element (full body).
+ * 
+ * @param {HTMLelement} element 
+ */
+let maxStorage = {};
+function addFullScreenMaximizeFunction(element) {
+    
+    let maxBtn =  getButton(element, 'maxBtn');
+    
+    if (maxBtn == undefined || maxBtn == null) {
+        return;
+    }
+    
+    maxBtn.onclick = function() {
+        toggleFullScreen(element);
+    };
+}
+
+/**
+ * Maximize an element (full viewport or containment) or bring it back to its previous size and offset.
+ * 
+ * @param {HTMLelement} element 
+ */
+function toggleFullScreen(element) {
+
+    let index = '' + element.id;
+    let isResizable;
+    if (hasResizeParent(element)) { isResizable = true; }
+
+    if (maxStorage[index] === undefined) {
+
+        if (!fireInteractiveEvent(element, 'beforemaximize')) { return; }
+        
+        let limit = getContainmentLimits(getPositionedElement(element), 'viewport');
+        let width = limit.right - limit.left;
+        let height = limit.bottom - limit.top;
+        let sizeLimits = getSizeLimits(element);
+        
+        // Maximized visualization. Ensure compatibility with resizable elements
+        let newKey = element.id;
+        if (isResizable) {
+            let parent = element.parentNode;
+            maxStorage[newKey] = {actualSize: getElementSizeAndPosition(parent)}; // Store element size info.
+            
+            element.style.width = '100%';
+            element.style.height = '100%';
+
+            parent.style.top = limit.top + 'px';
+            parent.style.left = limit.left + 'px';
+            parent.style.margin = '0px';
+            let insets = getResizePointInsets(element);
+            setResizableGrid(element, parent,
+                clampSize(width - insets.width, sizeLimits.minWidth, sizeLimits.maxWidth),
+                clampSize(height - insets.height, sizeLimits.minHeight, sizeLimits.maxHeight));
+        }
+        else {
+            maxStorage[newKey] = {actualSize: getElementSizeAndPosition(element)}; // Store element size info.
+            
+            element.style.margin = '0px';
+            setCssOffset(element, limit.left, limit.top);
+            let box = getBoxModelSize(element);
+            element.style.width = clampSize(width, sizeLimits.minWidth, sizeLimits.maxWidth) - box.width + 'px';
+            element.style.height = clampSize(height, sizeLimits.minHeight, sizeLimits.maxHeight) - box.height + 'px';
+        }
 
-    // Display maximized element. Ensure compatibility with resizable and dragabble elements
-    let index = parseInt(this.id);
-    let element = document.getElementById(minStorage[index].id);
-    if (element.classList.contains('resizable')) {
-        element.parentElement.style.display = 'grid';
+        fireInteractiveEvent(element, 'maximize');
     }
     else {
-        element.style.display = 'block';
+
+        if (!fireInteractiveEvent(element, 'beforeunmaximize')) { return; }
+
+        // Previous size and offset visualization.
+        if (isResizable) {
+            let parent = element.parentElement;
+            parent.style.top = maxStorage[index].actualSize.top;
+            parent.style.left = maxStorage[index].actualSize.left;
+            parent.style.margin = maxStorage[index].actualSize.margin;
+            parent.style.gridTemplateRows = maxStorage[index].actualSize.gridRow;
+            parent.style.gridTemplateColumns = maxStorage[index].actualSize.gridCol;
+        }
+        else {
+            element.style.top = maxStorage[index].actualSize.top;
+            element.style.left = maxStorage[index].actualSize.left;
+            element.style.width = maxStorage[index].actualSize.width;
+            element.style.margin = maxStorage[index].actualSize.margin;
+            element.style.height = maxStorage[index].actualSize.height;
+        }
+
+        // Update maxStorage
+        delete maxStorage[index];
+
+        fireInteractiveEvent(element, 'unmaximize');
     }
+}
 
-    // Empty index on minimizedStorage
-    minStorage[index] = '';
+/**
+ * Get the maximize button of an element
+ * 
+ * @param {HTMLelement} element
+ * @param {String} btn - class name of the button we're looking for
+ * @returns {HTMLelement} elements maxBtn
+ */
+function getButton(element, btn) {
+    let buttons;
 
-    // Change from dropdownList to horizontal minimized representations
-    if (dropdown === true) {
-        let ddList = document.getElementById('dropdownList');
-        if (ddList.childElementCount <= numItems) {
-            fromDropdownToHorizontalMinimized(ddList);
+    // Ensure compatibility with draggable elements
+    if (element.classList.contains('draggable')) {
+        buttons = element.firstElementChild.firstElementChild.childNodes;
+    }
+    else {
+        buttons = element.firstElementChild.childNodes;
+    }
+
+    for (let i = 0, len = buttons.length; i < len; i++) {
+        if (buttons[i].classList.contains(btn)) {
+            return buttons[i];
         }
     }
+}
 
-    // Update minStorage 
-    if (dropdown === undefined) {
-        let minArea = document.getElementById('minimizeZone');
-        if(minArea.childElementCount == 0) { // When there are no more minimized items
-            minStorage.length = 0;
+/**
+ * Get the actual size and position of an element
+ * 
+ * @param {HTMLElement} element 
+ * @returns Object containing the width, height, margin, top and left values
+ */
+function getElementSizeAndPosition(element) {
+    let style = window.getComputedStyle(element);
+    
+    return {
+        width: style.getPropertyValue('width'),
+        height: style.getPropertyValue('height'),
+        top: style.getPropertyValue('top'),
+        left: style.getPropertyValue('left'),
+        gridCol: style.getPropertyValue('grid-template-columns'),
+        gridRow: style.getPropertyValue('grid-template-rows')
+    };
+}
+
+// Z-INDEX FRONT ----------------------------------------------------------
+
+/**
+ * Bring element to the front
+ */
+function changeStackOrder() {
+    let all = document.getElementsByClassName('interactive');
+    let isFront = getPositionedElement(this).style.zIndex == 2;
+
+    for (let i = 0, len = all.length; i < len; i++) {
+        if (all[i] == this) {
+            if (hasResizeParent(all[i])) {
+                all[i].parentElement.style.zIndex = 2;
+            }
+            else {
+                all[i].style.zIndex = 2;
+            }
         }
         else {
-            // Update min elements
-            let children = minArea.childNodes;
-            for (let i = 0, len = children.length; i < len; i++) {
-                children[i].id = i;
+            if (hasResizeParent(all[i])) {
+                all[i].parentElement.style.zIndex = 1;
             }
-            // Update minStorage
-            for (let j = 0, len = minStorage.length; j < len; j++) {
-                if (minStorage[len - 1 - j] == '') {
-                    minStorage.splice(len - 1 - j, 1);
-                }
+            else {
+                all[i].style.zIndex = 'inherit';
             }
         }
     }
+
+    if (!isFront) {
+        fireInteractiveEvent(this, 'focus');
+    }
 }
 
+// INSTANCE HANDLE --------------------------------------------------------
+
 /**
- * Create a dropdown list to store all the minimized items representations.
+ * Create the object returned by interactive() to control an element programmatically.
+ * Every method reuses the logic behind the user interactions.
  * 
- * @param {Integer} count 
- * @param {HTMLElement} ofArea
+ * @param {HTMLelement} element 
+ * @returns {Object} handle
  */
-function horizontalRepToDropdownList(count, ofArea) {
-    
-    //Delete minimized representations
-    deleteMinimizedItems(count, ofArea);
-    // Add dropdown
-    let dropdown = addDropdown(ofArea);
-    // Add dropdown items 
-    addDropdownItems(minStorage, dropdown);
+function createInteractiveHandle(element) {
+    return {
+        element: element,
+        moveTo: whileConnected(element, function(x, y) { moveElementTo(element, x, y); }),
+        resizeTo: whileConnected(element, function(width, height) { resizeElementTo(element, width, height); }),
+        minimize: whileConnected(element, function() { minimizeInteractiveElement(element); }),
+        maximize: whileConnected(element, function() { maximizeInteractiveElement(element); }),
+        restore: whileConnected(element, function() { restoreInteractiveElement(element); }),
+        close: whileConnected(element, function() { closeElement(element); }),
+        bringToFront: whileConnected(element, function() { changeStackOrder.call(element); }),
+        getState: function() { return getInteractiveElementState(element); },
+        destroy: function() { destroyInteractiveElement(element); }
+    };
 }
 
 /**
- * Change the representation of minimized elements from dropdown list to horizontal minimized representations
+ * Wrap a handle method so it does nothing once the element is closed
  * 
- * @param {HTMLelement} ddList
+ * @param {HTMLelement} element 
+ * @param {Function} method 
+ * @returns {Function}
  */
-function fromDropdownToHorizontalMinimized(ddList) {
-    // Delete dropdown lsit and button
-    let btn = ddList.previousSibling;
-    let parent = ddList.parentElement;
-    parent.removeChild(btn);
-    parent.removeChild(ddList);
+function whileConnected(element, method) {
+    return function() {
+        if (element.isConnected) {
+            method.apply(null, arguments);
+        }
+    };
+}
 
-    dropdown = undefined;
+/**
+ * Get the element that holds the position of an interactive element.
+ * Resizable elements are positioned through their resize parent.
+ * 
+ * @param {HTMLelement} element 
+ * @returns {HTMLelement}
+ */
+function getPositionedElement(element) {
+    if (hasResizeParent(element)) {
+        return element.parentElement;
+    }
+    return element;
+}
 
-    // Update minStorage
-    let count = 0;
-    for (let i = 0, len = minStorage.length; i < len; i++) {
-        if (minStorage[i] != '') {
-            minStorage[count] = {id:  minStorage[i].id, title: minStorage[i].title};
-            count++;
-        }
+/**
+ * Get the interactive element of a positioned element. Opposite of getPositionedElement().
+ * 
+ * @param {HTMLelement} positioned 
+ * @returns {HTMLelement} interactive element
+ */
+function getInteractiveElement(positioned) {
+    if (positioned.classList.contains('parentResize')) {
+        return positioned.firstElementChild;
     }
-    minStorage.length = count;
+    return positioned;
+}
 
-    // Create horizontal representations
-    minimizeArea = document.getElementById('minimizeZone');
-    for (let j = 0, len = minStorage.length; j < len; j++) {
-        let rep = createMinimizedElementRep('' + j, minStorage[j].title);
-        minimizeArea.appendChild(rep);
-        // Add maximize functionality
-        rep.onclick = maximize;
+/**
+ * Move an element to a position. The position is kept inside the screen.
+ * 
+ * @param {HTMLelement} element 
+ * @param {Number} x - left offset in px
+ * @param {Number} y - top offset in px
+ */
+function moveElementTo(element, x, y) {
+    let positioned = getPositionedElement(element);
+
+    // Express the movement as a drag to reuse the drag boundaries
+    let newPosition = getDragNewPosition(positioned, {
+        x: positioned.offsetLeft - x,
+        y: positioned.offsetTop - y
+    });
+    setCssOffset(positioned, newPosition.x, newPosition.y);
+}
+
+/**
+ * Resize an element. Resizable elements keep their size limits.
+ * 
+ * @param {HTMLelement} element 
+ * @param {Number} width - width in px
+ * @param {Number} height - height in px
+ */
+function resizeElementTo(element, width, height) {
+    if (element.classList.contains('resizable')) {
+        // Express the resize as a lower right resize point drag
+        let parent = getPositionedElement(element);
+        changeHorizontalMeasures(element, parent, element.offsetWidth - width, 1);
+        changeVerticalMeasures(element, parent, element.offsetHeight - height, 3);
+    }
+    else {
+        let sizeLimits = getSizeLimits(element);
+        element.style.width = clampSize(width, sizeLimits.minWidth, sizeLimits.maxWidth) + 'px';
+        element.style.height = clampSize(height, sizeLimits.minHeight, sizeLimits.maxHeight) + 'px';
     }
 }
 
 /**
- * Delete # of child items from a parent.
- * Child items to delete must have as id increasing integers starting from 0
- * Items will be deleted from ids 0 to the count value
+ * Minimize an element
  * 
- * @param {count} count 
- * @param {HTMLElement} parent 
+ * @param {HTMLelement} element 
  */
-function deleteMinimizedItems(count, parent) {
-    for (let i = 0; i < count; i++) {
-        let element = document.getElementById('' + i);
-        parent.removeChild(element);
+function minimizeInteractiveElement(element) {
+    // Elements created with minMax: false have no minimize zone yet
+    addMinimizeArea();
+    minimizeElement(element);
+}
+
+/**
+ * Maximize an element (full body). Minimized elements are restored first.
+ * 
+ * @param {HTMLelement} element 
+ */
+function maximizeInteractiveElement(element) {
+    if (getMinStorageIndex(element) !== -1) {
+        restoreMinimizedElement(element);
+    }
+    if (maxStorage[element.id] === undefined) {
+        toggleFullScreen(element);
     }
 }
 
 /**
- * Append a dropdown to an element
+ * Bring a minimized or maximized element back to its previous state
  * 
- * @param {HTMLelement} element
- * @returns HTMLelement Dropdown list
+ * @param {HTMLelement} element 
  */
-function addDropdown(element) {
-    let btn = createElementWithIdAndClassName('button', 'dropdownBtn', 'dropdownBtn');
-    btn.innerHTML = '&#11205;';
-    btn.setAttribute('onselectstart', 'return false;');
+function restoreInteractiveElement(element) {
+    if (getMinStorageIndex(element) !== -1) {
+        restoreMinimizedElement(element);
+    }
+    else if (maxStorage[element.id] !== undefined) {
+        toggleFullScreen(element);
+    }
+}
 
-    let list = document.createElement('div');
-    list.id = 'dropdownList';
+/**
+ * Restore a minimized element as if its minimized representation was clicked
+ * 
+ * @param {HTMLelement} element 
+ */
+function restoreMinimizedElement(element) {
+    let rep = getMinimizedElementRep(element);
+    if (rep !== undefined) {
+        maximize.call(rep);
+    }
+}
 
-    element.appendChild(btn);
-    element.appendChild(list);
+/**
+ * Get the minimized representation of an element
+ * 
+ * @param {HTMLelement} element 
+ * @returns {HTMLelement|undefined} representation or undefined if the element is not minimized
+ */
+function getMinimizedElementRep(element) {
+    let index = getMinStorageIndex(element);
 
-    btn.onclick = function() {
-        if (list.style.display == 'block') {
-            list.style.display = 'none';
-            btn.innerHTML = '&#11205;';
+    // Representations use the minStorage index as id
+    let container = document.getElementById(dropdown === true ? 'dropdownList' : 'minimizeZone');
+    if (index === -1 || container === null) { return undefined; }
+
+    let children = container.children;
+    for (let i = 0, len = children.length; i < len; i++) {
+        if (children[i].id == '' + index) {
+            return children[i];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Get the index of an element inside minStorage
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Integer} index or -1 if the element is not minimized
+ */
+function getMinStorageIndex(element) {
+    for (let i = 0, len = minStorage.length; i < len; i++) {
+        if (minStorage[i] !== '' && minStorage[i].id == element.id) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Undo interactive(). Remove the resize parent, resize points, drag point and buttons,
+ * forget the minimized and maximized state and restore the original inline styles.
+ * 
+ * @param {HTMLelement} element 
+ */
+function destroyInteractiveElement(element) {
+
+    let instance = instanceStorage[element.id];
+    if (instance === undefined) { return; }
+
+    stopGesture(element);
+    stopInertia(element);
+
+    // Minimized and maximized state
+    let rep = getMinimizedElementRep(element);
+    if (rep !== undefined) {
+        removeMinimizedElementRep(rep);
+    }
+    delete maxStorage[element.id];
+    delete snapStorage[element.id];
+
+    // Drag point (holds the buttons of draggable elements) or buttons
+    let header = element.firstElementChild;
+    if (header !== null && (header.classList.contains('dragPoint') || header.classList.contains('btnContainer'))) {
+        element.removeChild(header);
+    }
+
+    // Overlaid resize points
+    if (element.classList.contains('resizeOverlay')) {
+        for (let i = element.children.length - 1; i >= 0; i--) {
+            if (resizePointNames.indexOf(element.children[i].className) != -1) {
+                element.removeChild(element.children[i]);
+            }
+        }
+    }
+
+    // Resize parent and resize points
+    let parent = element.parentElement;
+    if (hasResizeParent(element)) {
+        let container = parent.parentNode;
+        if (container === null) { // Closed element
+            parent.removeChild(element);
         }
         else {
-            list.style.display = 'block';
-            btn.innerHTML = '&#11206;';
+            // Back to the original place if the original next sibling is still there
+            let nextSibling = instance.nextSibling;
+            if (nextSibling === null || nextSibling.parentNode !== container) {
+                nextSibling = parent;
+            }
+            container.insertBefore(element, nextSibling);
+            container.removeChild(parent);
         }
+    }
+
+    element.classList.remove('interactive', 'resizable', 'resizeOverlay', 'draggable');
+    if (element.className === '') {
+        element.removeAttribute('class');
+    }
+    if (instance.style === null) {
+        element.removeAttribute('style');
+    }
+    else {
+        element.setAttribute('style', instance.style);
+    }
+    element.removeEventListener('pointerdown', changeStackOrder);
+    element.removeEventListener('dblclick', minimize);
+
+    delete instanceStorage[element.id];
+    if (instance.dataAttributes && element.isConnected) {
+        destroyedDataAttributeElements.add(element);
+    }
+    if (instance.generatedId) {
+        element.removeAttribute('id');
+    }
+}
+
+/**
+ * Get the actual state of an interactive element
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Object} position, size and minimized, maximized and closed flags
+ */
+function getInteractiveElementState(element) {
+    let positioned = getPositionedElement(element);
+    let offset = getElementOffset(positioned);
+    // Outline size during an outlined gesture, without the resize points.
+    // Hidden elements measure 0, e.g. minimized or closed ones
+    let size = getElementSize(positioned);
+    let insets = getResizePointInsets(element);
+    return {
+        x: offset.left,
+        y: offset.top,
+        width: Math.max(size.width - insets.width, 0),
+        height: Math.max(size.height - insets.height, 0),
+        minimized: getMinStorageIndex(element) !== -1,
+        maximized: maxStorage[element.id] !== undefined,
+        closed: !document.body.contains(element)
     };
-
-    return list;
 }
 
+// DATA ATTRIBUTES --------------------------------------------------------
+
 /**
- * Add a group of items to a dropdown list
- * list = [ {id: <id>, title: <string>}, {id: <id>, title: <string>}, {...}, ...];
+ * Config keys that can be set with data attributes and how to read their values.
+ * e.g. <div data-interactive data-resize="false" data-min-zone="#dock">
+ */
+let dataAttributeConfig = {
+    resize: 'boolean',
+    drag: 'boolean',
+    close: 'boolean',
+    minMax: 'boolean',
+    minZone: 'element',
+    minMaxIcons: 'boolean',
+    minDoubleClick: 'boolean',
+    containment: 'string',
+    axis: 'string',
+    keepVisible: 'number',
+    edgeSnap: 'boolean',
+    magnetSnap: 'number',
+    inertia: 'boolean',
+    inertiaBounce: 'boolean',
+    autoScroll: 'boolean',
+    performance: 'boolean',
+    outline: 'boolean',
+    minWidth: 'number',
+    minHeight: 'number',
+    maxWidth: 'number',
+    maxHeight: 'number',
+    aspectRatio: 'ratio',
+    aspectRatioModifier: 'string',
+    handles: 'list',
+    handleSize: 'number',
+    handleHitArea: 'number',
+    symmetricResizeModifier: 'string',
+    resizeParent: 'boolean'
+};
+
+/**
+ * Elements torn down with destroy() are not initialised again by the MutationObserver
+ */
+let destroyedDataAttributeElements = new WeakSet();
+
+/**
+ * Make interactive the elements with a data-interactive attribute (data-interactive="false" excluded).
  * 
- * @param {Array} items
- * @param {HTMLelement} dropdown
+ * @param {HTMLElement|Document} root - where to look for the elements, document by default
+ * @returns {Array} One handle per element
  */
-function addDropdownItems(items, dropdown) {
-    for (let j = 0, len = items.length; j < len; j++){
-        addDropdownItem('' + j, items[j].title, dropdown);
+function initDataAttributeElements(root) {
+    let elements = getDataAttributeElements(root === undefined ? document : root);
+    let handles = [];
+    for (let i = 0, len = elements.length; i < len; i++) {
+        destroyedDataAttributeElements.delete(elements[i]);
+        handles.push(makeDataAttributeElementInteractive(elements[i]));
     }
+    return handles;
 }
 
 /**
- * Add an individual item to a dropdown list
+ * Make an element interactive with the config found in its data attributes
  * 
- * @param {String} id 
- * @param {String} title
- * @param {HTMLElement} dropdown
+ * @param {HTMLElement} element 
+ * @returns {Object} handle
  */
-function addDropdownItem(id, title, dropdown) {
-    let newItem = createElementWithIdAndClassName('div', id, 'dropdownItem');
-    newItem.textContent = title;
-    newItem.setAttribute('onselectstart', 'return false;');
-    dropdown.appendChild(newItem);
-
-    // Add maximize functionality
-    newItem.onclick = maximize;
+function makeDataAttributeElementInteractive(element) {
+    let handle = makeInteractive(element, getDataAttributeConfig(element));
+    instanceStorage[element.id].dataAttributes = true;
+    return handle;
 }
 
 /**
- * On maximize icon click maximize element (full body).
+ * Get the root and root descendants with a data-interactive attribute
  * 
- * @param {HTMLelement} element 
+ * @param {HTMLElement|Document} root 
+ * @returns {Array} elements
  */
-let maxStorage = {};
-function addFullScreenMaximizeFunction(element) {
-    
-    let maxBtn =  getButton(element, 'maxBtn');
-    
-    if (maxBtn == undefined || maxBtn == null) {
-        return;
+function getDataAttributeElements(root) {
+    let selector = '[data-interactive]:not([data-interactive="false"])';
+    let elements = Array.prototype.slice.call(root.querySelectorAll(selector));
+    if (root instanceof Element && root.matches(selector)) {
+        elements.unshift(root);
     }
-    
-    maxBtn.onclick = function() {
-
-        let index = '' + element.id;
-        let isResizable;
-        if (element.classList.contains('resizable')) { isResizable = true; }
+    return elements;
+}
 
-        if (maxStorage[index] === undefined) {
-            
-            let width = window.innerWidth || document.documentElement.clientWidth || document.body.clientWidth;
-            let height = window.innerHeight || document.documentElement.clientHeight || document.body.clientHeight; 
-            
-            // Maximized visualization. Ensure compatibility with resizable elements
-            let newKey = element.id;
-            if (isResizable) {
-                let parent = element.parentNode;
-                maxStorage[newKey] = {actualSize: getElementSizeAndPosition(parent)}; // Store element size info.
-                
-                element.style.width = '100%';
-                element.style.height = '100%';
-
-                parent.style.top = '0px';
-                parent.style.left = '0px';
-                parent.style.margin = '0px';
-                parent.style.gridTemplateRows = '3px ' + (height - 6) + 'px 3px';
-                parent.style.gridTemplateColumns = '3px ' + (width - 6) + 'px 3px'; // Default resizePoint 3px
-            }
-            else {
-                maxStorage[newKey] = {actualSize: getElementSizeAndPosition(element)}; // Store element size info.
-                
-                element.style.top = '0px';
-                element.style.left = '0px';
-                element.style.margin = '0px';
-                element.style.width = width + 'px';
-                element.style.height = height + 'px';
-            }
+/**
+ * Read the config of an element from its data attributes
+ * 
+ * @param {HTMLElement} element 
+ * @returns {Object} config
+ */
+function getDataAttributeConfig(element) {
+    let config = {};
+    for (let key in dataAttributeConfig) {
+        let value = element.dataset[key];
+        if (value === undefined) { continue; }
+
+        if (dataAttributeConfig[key] === 'boolean') {
+            config[key] = value !== 'false';
+        }
+        else if (dataAttributeConfig[key] === 'element') {
+            config[key] = document.querySelector(value);
+        }
+        else if (dataAttributeConfig[key] === 'number') {
+            config[key] = parseFloat(value);
+        }
+        else if (dataAttributeConfig[key] === 'ratio') {
+            config[key] = value === 'initial' ? value : parseFloat(value);
+        }
+        else if (dataAttributeConfig[key] === 'list') {
+            config[key] = value.split(',').map(function(item) { return item.trim(); });
         }
         else {
-            // Previous size and offset visualization.
-            if (isResizable) {
-                let parent = element.parentElement;
-                parent.style.top = maxStorage[index].actualSize.top;
-                parent.style.left = maxStorage[index].actualSize.left;
-                parent.style.margin = maxStorage[index].actualSize.margin;
-                parent.style.gridTemplateRows = maxStorage[index].actualSize.gridRow;
-                parent.style.gridTemplateColumns = maxStorage[index].actualSize.gridCol;
-            }
-            else {
-                element.style.top = maxStorage[index].actualSize.top;
-                element.style.left = maxStorage[index].actualSize.left;
-                element.style.width = maxStorage[index].actualSize.width;
-                element.style.margin = maxStorage[index].actualSize.margin;
-                element.style.height = maxStorage[index].actualSize.height;
-            }
-
-            // Update maxStorage
-            delete maxStorage[index];
+            config[key] = value;
         }
-    };
+    }
+    return config;
 }
 
 /**
- * Get the maximize button of an element
+ * Initialise the data attribute elements added to the document and
+ * tear down the ones removed from it.
  * 
- * @param {HTMLelement} element
- * @param {String} btn - class name of the button we're looking for
- * @returns {HTMLelement} elements maxBtn
+ * @param {Array} mutations - MutationRecords
  */
-function getButton(element, btn) {
-    let buttons;
+function onDocumentMutation(mutations) {
+    for (let i = 0, len = mutations.length; i < len; i++) {
+
+        let removed = mutations[i].removedNodes;
+        for (let j = 0, len = removed.length; j < len; j++) {
+            // Elements moved by the library, e.g. inside a resize parent, are still connected
+            if (removed[j] instanceof Element && !removed[j].isConnected) {
+                destroyRemovedDataAttributeElements(removed[j]);
+            }
+        }
 
-    // Ensure compatibility with draggable elements
-    if (element.classList.contains('draggable')) {
-        buttons = element.firstElementChild.firstElementChild.childNodes;
-    }
-    else {
-        buttons = element.firstElementChild.childNodes;
+        let added = mutations[i].addedNodes;
+        for (let j = 0, len = added.length; j < len; j++) {
+            if (added[j] instanceof Element && added[j].isConnected) {
+                initAddedDataAttributeElements(added[j]);
+            }
+        }
     }
+}
 
-    for (let i = 0, len = buttons.length; i < len; i++) {
-        if (buttons[i].classList.contains(btn)) {
-            return buttons[i];
+/**
+ * Make interactive the data attribute elements inside an added node
+ * 
+ * @param {HTMLElement} node 
+ */
+function initAddedDataAttributeElements(node) {
+    let elements = getDataAttributeElements(node);
+    for (let i = 0, len = elements.length; i < len; i++) {
+        if (!destroyedDataAttributeElements.has(elements[i])) {
+            makeDataAttributeElementInteractive(elements[i]);
         }
     }
 }
 
 /**
- * Get the actual size and position of an element
+ * Tear down the data attribute elements inside a removed node
  * 
- * @param {HTMLElement} element 
- * @returns Object containing the width, height, margin, top and left values
+ * @param {HTMLElement} node 
  */
-function getElementSizeAndPosition(element) {
-    let style = window.getComputedStyle(element);
-    
-    return {
-        width: style.getPropertyValue('width'),
-        height: style.getPropertyValue('height'),
-        top: style.getPropertyValue('top'),
-        left: style.getPropertyValue('left'),
-        gridCol: style.getPropertyValue('grid-template-columns'),
-        gridRow: style.getPropertyValue('grid-template-rows')
-    };
+function destroyRemovedDataAttributeElements(node) {
+    let elements = getDataAttributeElements(node);
+    for (let i = 0, len = elements.length; i < len; i++) {
+        let instance = instanceStorage[elements[i].id];
+        if (instance !== undefined && instance.dataAttributes) {
+            destroyInteractiveElement(elements[i]);
+        }
+    }
 }
 
-// Z-INDEX FRONT ----------------------------------------------------------
-
 /**
- * Bring element to the front
+ * Initialise the data attribute elements once the document is parsed and watch for new ones
  */
-function changeStackOrder() {
-    let all = document.getElementsByClassName('interactive');
+function startDataAttributeElements() {
+    initDataAttributeElements();
+    new MutationObserver(onDocumentMutation).observe(document.body, { childList: true, subtree: true });
+}
 
-    for (let i = 0, len = all.length; i < len; i++) {
-        if (all[i] == this) {
-            if (all[i].classList.contains('resizable')) {
-                all[i].parentElement.style.zIndex = 2;
-            }
-            else {
-                all[i].style.zIndex = 2;
-            }
-        }
-        else {
-            if (all[i].classList.contains('resizable')) {
-                all[i].parentElement.style.zIndex = 1;
-            }
-            else {
-                all[i].style.zIndex = 'inherit';
-            }
-        }
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', startDataAttributeElements);
+    }
+    else {
+        startDataAttributeElements();
     }
 }
 
-// WINDOW.onresize - WINDOW.onload ----------------------------------------
+// WINDOW RESIZE - WINDOW LOAD -------------------------------------------
 
 /**
  * Ensure window resize and window load without errors.
+ * Listeners are added, not assigned, to keep the page window handlers working.
  */
-window.onresize = onWindowResize;
-window.onload = onWindowLoad;
+if (typeof window !== 'undefined') {
+    window.addEventListener('resize', onWindowResize);
+    window.addEventListener('load', onWindowLoad);
+}
 
 function onWindowResize() {
     resizeOnWindowChange(); // Avoid resizable elements errors
@@ -1111,48 +3318,49 @@ function onWindowLoad() {
  * Avoid losing resizable elements outside the window when the window is resized
  */
 function resizeOnWindowChange() {
-    let parents = document.getElementsByClassName('parentResize');
-    for (let i = 0, len = parents.length; i < len; i++) { 
+    let elements = document.getElementsByClassName('resizable');
+    for (let i = 0, len = elements.length; i < len; i++) { 
 
-        let windowW = document.body.clientWidth;
-        let windowH = document.body.clientHeight;
+        let element = elements[i];
+        let parent = getPositionedElement(element);
 
-        let element = parents[i].firstElementChild;
-        let parent = parents[i];
+        let limit = getContainmentLimits(parent);
+        let windowW = limit.right;
+        let windowH = limit.bottom;
+        let sizeLimits = getSizeLimits(element);
+        let insets = getResizePointInsets(element);
 
         // Width adjustments
         let leftOffset = parent.offsetLeft;
-        let parentWidth = parseInt(element.style.width.slice(0, -2)) + 6; // Default resize point width 3px
+        let parentWidth = getElementSize(parent).width;
         if (leftOffset + parentWidth > windowW) {
             
-            let width = windowW - leftOffset - 6;
-            // Ensure min width. (Default 5px)
-            if (width >= 5) {
-                parent.style.gridTemplateColumns = '3px ' + width + 'px 3px';
-                element.style.width = width + 'px';
-            }
-            else {
-                let newOffset = windowW - 5 - 6;
-                parent.style.left = newOffset + 'px';
+            let width = windowW - leftOffset - insets.width;
+            // Ensure min width. Move the element to make room for it
+            if (width < sizeLimits.minWidth) {
+                width = sizeLimits.minWidth;
+                let newOffset = windowW - width - insets.width;
+                if (newOffset >= limit.left) {
+                    setCssOffset(parent, newOffset, parent.offsetTop);
+                }
             }
+            setResizableSize(element, width, undefined);
         }
         // Height adjustments
         let offsetTop = parent.offsetTop;
-        let parentHeight = parseInt(element.style.height.slice(0, -2)) + 6;
+        let parentHeight = getElementSize(parent).height;
         if (offsetTop + parentHeight > windowH) {
 
-            let height = windowH - offsetTop - 6;
-            // Ensure min height. (Default 5px)
-            if (height >= 5) {
-                parent.style.gridTemplateRows = '3px ' + height + 'px 3px';
-                element.style.height = height + 'px';
-            }
-            else {
-                let newOffset = windowH - 5 - 6;
-                if (newOffset >= 0) {
-                    parent.style.top = newOffset + 'px';
-                } 
+            let height = windowH - offsetTop - insets.height;
+            // Ensure min height. Move the element to make room for it
+            if (height < sizeLimits.minHeight) {
+                height = sizeLimits.minHeight;
+                let newOffset = windowH - height - insets.height;
+                if (newOffset >= limit.top) {
+                    setCssOffset(parent, parent.offsetLeft, newOffset);
+                }
             }
+            setResizableSize(element, undefined, height);
         }
     }
 }
@@ -1211,6 +3419,59 @@ function createElementWithClassName(tag, className) {
     return element;
 }
 
+/**
+ * Get the elements referenced by an id, a CSS selector, an element, a NodeList or an array of elements
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Array} elements
+ */
+function getElements(target) {
+    if (typeof target === 'string') {
+        // Ids first, they don't need to be valid CSS selectors
+        let element = document.getElementById(target);
+        if (element !== null) {
+            return [element];
+        }
+        return Array.prototype.slice.call(document.querySelectorAll(target));
+    }
+    if (target instanceof Element) {
+        return [target];
+    }
+    return Array.prototype.slice.call(target);
+}
+
+/**
+ * Check if a target references a single element: an element or an existing id
+ * 
+ * @param {String|HTMLElement|NodeList|Array} target 
+ * @returns {Boolean}
+ */
+function isSingleElementTarget(target) {
+    if (typeof target === 'string') {
+        return document.getElementById(target) !== null;
+    }
+    return target instanceof Element;
+}
+
+/**
+ * Give an id to an element without one.
+ * The library uses the id to keep track of the element and to name the elements it creates.
+ * 
+ * @param {HTMLElement} element 
+ * @returns {Boolean} True if the id was generated
+ */
+function ensureElementId(element) {
+    if (element.id !== '') {
+        return false;
+    }
+    let count = 1;
+    while (document.getElementById('interactive' + count) !== null) {
+        count++;
+    }
+    element.id = 'interactive' + count;
+    return true;
+}
+
 /**
  * Get the boundaries of a document body
  */
@@ -1224,42 +3485,358 @@ function getDocumentBodyLimits() {
 }
 
 /**
- * Track the mouse drag and use the information to create an action
+ * Get the limits an element is kept inside of, in the coordinates of its left and top offset.
+ * The containment is taken from config.containment:
+ *  - undefined: the document body (or defaultContainment)
+ *  - 'viewport': the visible part of the document
+ *  - 'parent': the parent node of the positioned element
+ *  - an element or a selector: the padding box of that element, scrolled content included
+ *  - {left, top, right, bottom}: limits already expressed in offset coordinates
+ * 
+ * @param {HTMLelement} positioned - element positioned with left and top (resize parent for resizable elements)
+ * @param {String} defaultContainment - containment used when config.containment is undefined
+ * @returns {Object} {left, top, right, bottom} in px
+ */
+function getContainmentLimits(positioned, defaultContainment) {
+    let containment = getConfig(getInteractiveElement(positioned)).containment;
+    if (containment === undefined) { containment = defaultContainment; }
+    if (containment === undefined) { return getDocumentBodyLimits(); }
+
+    if (containment.right !== undefined && containment.bottom !== undefined) {
+        return {
+            left: containment.left || 0,
+            top: containment.top || 0,
+            right: containment.right,
+            bottom: containment.bottom
+        };
+    }
+
+    // Containment box in viewport coordinates
+    let box;
+    if (containment === 'viewport') {
+        box = {
+            left: 0,
+            top: 0,
+            right: document.documentElement.clientWidth,
+            bottom: document.documentElement.clientHeight
+        };
+    }
+    else {
+        let container = containment;
+        if (containment === 'parent') { container = positioned.parentElement; }
+        else if (typeof containment === 'string') { container = document.querySelector(containment); }
+        if (container === null) { return getDocumentBodyLimits(); }
+
+        // Scrollable containers include their scrolled content
+        let rect = container.getBoundingClientRect();
+        let left = rect.left + container.clientLeft - container.scrollLeft;
+        let top = rect.top + container.clientTop - container.scrollTop;
+        box = {
+            left: left,
+            top: top,
+            right: left + Math.max(container.clientWidth, container.scrollWidth),
+            bottom: top + Math.max(container.clientHeight, container.scrollHeight)
+        };
+    }
+
+    let origin = getOffsetOrigin(positioned);
+    return {
+        left: box.left - origin.left,
+        top: box.top - origin.top,
+        right: box.right - origin.left,
+        bottom: box.bottom - origin.top
+    };
+}
+
+/**
+ * Get the viewport position of the origin the left and top offset of an element are measured from
+ * 
+ * @param {HTMLelement} element 
+ * @returns {Object} {left, top} in px
+ */
+function getOffsetOrigin(element) {
+    let offsetParent = element.offsetParent;
+    // Offsets relative to the body are measured from the document
+    if (offsetParent === null || offsetParent === document.body) {
+        return { left: -window.pageXOffset, top: -window.pageYOffset };
+    }
+    let rect = offsetParent.getBoundingClientRect();
+    return {
+        left: rect.left + offsetParent.clientLeft - offsetParent.scrollLeft,
+        top: rect.top + offsetParent.clientTop - offsetParent.scrollTop
+    };
+}
+
+/**
+ * Check if a pointer event comes from the primary button of the primary pointer.
+ * Left mouse button, first finger touch or pen contact.
+ * 
+ * @param {PointerEvent} event 
+ * @returns {Boolean}
+ */
+function isPrimaryPointer(event) {
+    return event.isPrimary && event.button == 0;
+}
+
+/**
+ * Keep track of the gesture in progress of every element
+ */
+let gestureStorage = {};
+
+/**
+ * Track the pointer drag and use the information to create an action.
+ * The pointer is captured by the pressed element, so the gesture keeps
+ * working when the pointer leaves it. The move and stop listeners only
+ * live on that element while the gesture lasts.
+ * Fires the <action>start, <action> and <action>end events, e.g. dragstart, drag, dragend.
  * 
  * @param {Object} action 
  * @param {String} action.action
+ * @param {HTMLelement} action.element - interactive element
  * @param {Array}  action.param
+ * @param {PointerEvent} event - pointerdown event that starts the drag
  */
-function trackMouseDragPlusAction(action) {
-  
-    // Cursor initial position
-    let x1 = event.clientX;
-    let y1 = event.clientY;
+function trackMouseDragPlusAction(action, event) {
+
+    event.preventDefault(); // Avoid text selection
+    stopInertia(action.element);
+    if (!fireInteractiveEvent(action.element, 'before' + action.action + 'start')) { return; }
+
+    let gesture = {
+        action: action,
+        target: event.currentTarget,
+        pointerId: event.pointerId,
+        // Cursor and element initial position
+        startX: event.clientX,
+        startY: event.clientY,
+        measures: getActionMeasures(action),
+        scrollContainer: getScrollContainer(getPositionedElement(action.element))
+    };
+    gesture.scrollLeft = gesture.scrollContainer.scrollLeft;
+    gesture.scrollTop = gesture.scrollContainer.scrollTop;
+
+    let config = getConfig(action.element);
+    if (config.grid !== undefined && config.gridOverlay) {
+        gesture.gridOverlay = addGridOverlay(action);
+    }
+    if (config.magnetSnap !== undefined) {
+        gesture.magnetEdges = getMagnetEdges(getPositionedElement(action.element));
+        gesture.magnetGuides = {};
+    }
+    if (action.action == 'drag' && config.inertia) {
+        gesture.samples = [];
+    }
+    if (action.action == 'drag' && dropZoneStorage.length > 0) {
+        addDropTargets(gesture);
+    }
+    if (config.autoScroll) {
+        autoScroll(gesture);
+    }
+    if (action.action == 'resize') {
+        gesture.resizePoint = action.param[2];
+        gesture.startRect = getElementOffsetAndMeasures(getPositionedElement(action.element));
+        let insets = getResizePointInsets(action.element);
+        gesture.startRatio = (gesture.startRect.width - insets.width) / (gesture.startRect.height - insets.height);
+
+        action.symmetric = isSymmetricResize(action, event);
+        gesture.measures = getActionMeasures(action);
+    }
+    if (config.outline) {
+        startOutline(getPositionedElement(action.element));
+    }
+    else if (config.performance) {
+        startTransform(getPositionedElement(action.element));
+    }
+
+    gesture.move = function(event) {
+        if (event.pointerId !== gesture.pointerId) { return; }
+        gesture.lastEvent = event;
+
+        if (gesture.samples !== undefined) {
+            trackPointerVelocity(gesture, event);
+        }
 
-    document.onmouseup = dragMouseStop;
-    document.onmousemove = function() {
+        if (!config.performance) {
+            gesture.update(event);
+        }
+        // One update per frame with the last pointer position
+        else if (gesture.updateFrame === undefined) {
+            gesture.updateFrame = requestAnimationFrame(function() {
+                gesture.updateFrame = undefined;
+                gesture.update(gesture.lastEvent);
+            });
+        }
+    };
+    gesture.update = function(event) {
+
+        // Edges resize both dimensions while the aspect ratio is kept
+        if (action.action == 'resize') {
+            // The measures change meaning, continue the gesture from here
+            if (isSymmetricResize(action, event) != action.symmetric) {
+                action.symmetric = !action.symmetric;
+                restartGesture(gesture, event);
+            }
+            gesture.ratio = getActiveAspectRatio(gesture, event);
+            action.param[2] = gesture.ratio === undefined ? gesture.resizePoint : getAspectRatioResizePoint(gesture.resizePoint);
+        }
 
-        // Cursor actual position
-        let x2 = event.clientX;
-        let y2 = event.clientY;
+        // Dragging a snapped or maximized element away restores its size
+        if (action.action == 'drag' && isSnappedElementDraggedAway(gesture, event)) {
+            restoreSnappedElement(gesture);
+        }
 
         // Calculate mouse movement
-        let mouseDrag = { x: x1 - x2, y: y1 - y2 };
+        let mouseDrag = getGestureMouseDrag(gesture, event);
+        
+        if (action.action == 'drag') {
+            lockMouseDragToAxis(gesture, mouseDrag, getDragAxis(gesture, event));
+        }
         
         dragAction(action, mouseDrag);
 
-        // Take the actual mouse position as the new initial position
-        x1 = x2;
-        y1 = y2;
+        if (action.action == 'drag' && config.edgeSnap) {
+            gesture.snapZone = getEdgeSnapZone(action, event);
+            updateEdgeSnapPreview(gesture);
+        }
+        if (gesture.dropZones !== undefined) {
+            updateDropZone(gesture, event);
+        }
+
+        fireInteractiveEvent(action.element, action.action);
+    };
+    gesture.stop = function(event) {
+        if (event.pointerId !== gesture.pointerId) { return; }
+
+        // Apply the last pointer position
+        if (gesture.updateFrame !== undefined) {
+            cancelAnimationFrame(gesture.updateFrame);
+            gesture.updateFrame = undefined;
+            gesture.update(gesture.lastEvent);
+        }
+
+        dragMouseStop(gesture);
+        commitOutline(getPositionedElement(action.element));
+        commitTransform(getPositionedElement(action.element));
+        if (gesture.dropZone !== undefined) {
+            if (event.type == 'pointerup') {
+                dropElement(gesture.dropZone, action.element);
+            }
+            else {
+                fireDropZoneEvent(gesture.dropZone, 'dragleave', action.element);
+            }
+        }
+        else if (gesture.snapZone !== undefined && event.type == 'pointerup') {
+            snapElement(action.element, gesture.snapZone);
+        }
+        else if (gesture.samples !== undefined && event.type == 'pointerup') {
+            // The element keeps gliding, dragend is fired when it stops
+            if (startInertia(action, getPointerVelocity(gesture, event), getDragAxis(gesture, event))) { return; }
+        }
+        fireInteractiveEvent(action.element, action.action + 'end');
+    };
+
+    // Escape puts an outlined element back where it was
+    gesture.cancel = function(event) {
+        if (event.key != 'Escape') { return; }
+
+        dragMouseStop(gesture);
+        discardOutline(getPositionedElement(action.element));
+        if (gesture.dropZone !== undefined) {
+            fireDropZoneEvent(gesture.dropZone, 'dragleave', action.element);
+        }
+        fireInteractiveEvent(action.element, action.action + 'end');
     };
+
+    gesture.target.setPointerCapture(gesture.pointerId);
+    gesture.target.addEventListener('pointermove', gesture.move);
+    gesture.target.addEventListener('pointerup', gesture.stop);
+    gesture.target.addEventListener('pointercancel', gesture.stop);
+    gesture.target.addEventListener('lostpointercapture', gesture.stop);
+    if (config.outline) {
+        document.addEventListener('keydown', gesture.cancel);
+    }
+    gestureStorage[action.element.id] = gesture;
+
+    fireInteractiveEvent(action.element, action.action + 'start');
 }
 
 /**
  * Stop drag movement
+ * 
+ * @param {Object} gesture - gesture created by trackMouseDragPlusAction()
+ */
+function dragMouseStop(gesture) {
+    gesture.target.removeEventListener('pointermove', gesture.move);
+    gesture.target.removeEventListener('pointerup', gesture.stop);
+    gesture.target.removeEventListener('pointercancel', gesture.stop);
+    gesture.target.removeEventListener('lostpointercapture', gesture.stop);
+    document.removeEventListener('keydown', gesture.cancel);
+    delete gestureStorage[gesture.action.element.id];
+    if (gesture.updateFrame !== undefined) {
+        cancelAnimationFrame(gesture.updateFrame);
+    }
+
+    if (gesture.gridOverlay !== undefined) {
+        gesture.gridOverlay.parentNode.removeChild(gesture.gridOverlay);
+    }
+    if (gesture.snapPreview !== undefined) {
+        gesture.snapPreview.parentNode.removeChild(gesture.snapPreview);
+    }
+    for (let axis in gesture.magnetGuides) {
+        gesture.magnetGuides[axis].parentNode.removeChild(gesture.magnetGuides[axis]);
+    }
+    if (gesture.dropZones !== undefined) {
+        removeDropTargets(gesture);
+    }
+    if (gesture.autoScrollFrame !== undefined) {
+        cancelAnimationFrame(gesture.autoScrollFrame);
+    }
+}
+
+/**
+ * End the gesture in progress of an element as if the pointer was cancelled,
+ * e.g. when the element is closed or destroyed in the middle of a drag
+ * 
+ * @param {HTMLelement} element 
+ */
+function stopGesture(element) {
+    let gesture = gestureStorage[element.id];
+    if (gesture === undefined) { return; }
+
+    gesture.stop({ type: 'pointercancel', pointerId: gesture.pointerId });
+    if (gesture.target.hasPointerCapture(gesture.pointerId)) {
+        gesture.target.releasePointerCapture(gesture.pointerId);
+    }
+}
+
+/**
+ * Notify an interaction to the host app.
+ * Dispatches the 'interactive:<name>' CustomEvent on the element and calls config.on[name].
+ * Events whose name starts with 'before' can be cancelled with event.preventDefault()
+ * or by returning false from the callback.
+ * 
+ * @param {HTMLelement} element - interactive element
+ * @param {String} name - event name, e.g. 'dragstart', 'beforeclose'
+ * @param {Object} state - event.detail, the actual element state by default
+ * @returns {Boolean} False if the event was cancelled
  */
-function dragMouseStop() {
-    document.onmouseup = null;
-    document.onmousemove = null;
+function fireInteractiveEvent(element, name, state) {
+
+    let event = new CustomEvent('interactive:' + name, {
+        bubbles: true,
+        cancelable: name.indexOf('before') === 0,
+        detail: state === undefined ? getInteractiveElementState(element) : state
+    });
+    element.dispatchEvent(event);
+
+    let instance = instanceStorage[element.id];
+    if (instance !== undefined && instance.config.on !== undefined && typeof instance.config.on[name] === 'function') {
+        if (instance.config.on[name].call(element, event) === false) {
+            event.preventDefault();
+        }
+    }
+
+    return !event.defaultPrevented;
 }
 
 /**
@@ -1290,3 +3867,11 @@ function createSvgShape(object) {
     
     return svg;
 }
+
+// Namespace members
+interactive.init = initDataAttributeElements;
+interactive.dropZone = dropZone;
+
+return interactive;
+
+}));